@@ -0,0 +1,418 @@
+const { executeQuery, executeTransaction } = require('../utils/database');
+const { revokeAllSessions } = require('../utils/sessionService');
+
+/**
+ * Admin Controller
+ * Institution-level administration: user search, role changes,
+ * account disabling, batch reassignment and platform statistics
+ * All handlers are mounted behind requireRole(['admin']); inputs are validated in routes
+ */
+
+/**
+ * Make sure the role-specific profile row exists after a role change
+ * @param {number} userId - User ID
+ * @param {string} role - New role
+ */
+const ensureRoleProfile = async (userId, role) => {
+  const profileTable = role === 'teacher' ? 'teacher_profiles' : role === 'student' ? 'student_profiles' : null;
+  if (!profileTable) {
+    return;
+  }
+
+  const profiles = await executeQuery(`SELECT 1 FROM ${profileTable} WHERE user_id = ?`, [userId]);
+  if (profiles.length === 0) {
+    await executeQuery(`INSERT INTO ${profileTable} (user_id) VALUES (?)`, [userId]);
+  }
+};
+
+/**
+ * List and search users
+ * GET /api/admin/users?search=&role=&status=active|disabled&page=&limit=
+ */
+const listUsers = async (req, res) => {
+  try {
+    const { search, role, status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = (page - 1) * limit;
+
+    const whereConditions = [];
+    const queryParams = [];
+
+    if (search) {
+      whereConditions.push('(u.name LIKE ? OR u.email LIKE ? OR sp.roll_number LIKE ? OR tp.employee_id LIKE ?)');
+      const pattern = `%${search}%`;
+      queryParams.push(pattern, pattern, pattern, pattern);
+    }
+
+    if (role) {
+      whereConditions.push('u.role = ?');
+      queryParams.push(role);
+    }
+
+    if (status === 'active') {
+      whereConditions.push('u.disabled_at IS NULL');
+    } else if (status === 'disabled') {
+      whereConditions.push('u.disabled_at IS NOT NULL');
+    }
+
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+    const fromClause = `
+      FROM users u
+      LEFT JOIN student_profiles sp ON u.user_id = sp.user_id
+      LEFT JOIN teacher_profiles tp ON u.user_id = tp.user_id
+      ${whereClause}
+    `;
+
+    const countResult = await executeQuery(`SELECT COUNT(*) as total ${fromClause}`, queryParams);
+    const total = countResult[0].total;
+
+    // limit/offset are parsed integers, safe to inline
+    const users = await executeQuery(`
+      SELECT
+        u.user_id,
+        u.name,
+        u.email,
+        u.role,
+        u.created_at,
+        u.disabled_at,
+        u.disabled_reason,
+        sp.roll_number,
+        tp.employee_id,
+        tp.college_name,
+        (SELECT COUNT(*) FROM batches b WHERE b.teacher_id = u.user_id) as owned_batch_count,
+        (SELECT COUNT(*) FROM batch_members bm WHERE bm.student_id = u.user_id) as joined_batch_count
+      ${fromClause}
+      ORDER BY u.created_at DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `, queryParams);
+
+    res.json({
+      success: true,
+      data: users,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Change a user's role
+ * PUT /api/admin/users/:userId/role
+ * Body: { role: 'student' | 'teacher' | 'admin' }
+ * Existing sessions are revoked so the new role applies on next sign-in
+ */
+const updateUserRole = async (req, res) => {
+  try {
+    const { userId: adminId } = req.user;
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (userId === adminId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const users = await executeQuery('SELECT user_id, role FROM users WHERE user_id = ?', [userId]);
+
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previousRole = users[0].role;
+
+    if (previousRole === role) {
+      return res.status(409).json({
+        success: false,
+        message: `User is already a ${role}`
+      });
+    }
+
+    // A teacher who still owns batches must hand them over first
+    if (previousRole === 'teacher') {
+      const ownedBatches = await executeQuery(
+        'SELECT COUNT(*) as count FROM batches WHERE teacher_id = ?',
+        [userId]
+      );
+      if (ownedBatches[0].count > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Teacher still owns ${ownedBatches[0].count} batch(es). Reassign them before changing role.`
+        });
+      }
+    }
+
+    await executeQuery('UPDATE users SET role = ? WHERE user_id = ?', [role, userId]);
+    await ensureRoleProfile(userId, role);
+
+    // Access tokens carry the role, so force a fresh sign-in
+    await revokeAllSessions(req.app.get('io'), userId, 'role_changed');
+
+    console.log(`👤 Admin ${adminId} changed role of user ${userId}: ${previousRole} -> ${role}`);
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: {
+        userId,
+        previousRole,
+        role
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin update user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Disable or re-enable a user account
+ * PUT /api/admin/users/:userId/status
+ * Body: { disabled: boolean, reason? }
+ * Disabling revokes every session for the user
+ */
+const updateUserStatus = async (req, res) => {
+  try {
+    const { userId: adminId } = req.user;
+    const { userId } = req.params;
+    const { disabled, reason } = req.body;
+
+    if (userId === adminId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot disable your own account'
+      });
+    }
+
+    const result = disabled
+      ? await executeQuery(
+        'UPDATE users SET disabled_at = NOW(), disabled_reason = ? WHERE user_id = ?',
+        [reason || null, userId]
+      )
+      : await executeQuery(
+        'UPDATE users SET disabled_at = NULL, disabled_reason = NULL WHERE user_id = ?',
+        [userId]
+      );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    let revokedSessions = 0;
+    if (disabled) {
+      revokedSessions = await revokeAllSessions(req.app.get('io'), userId, 'account_disabled');
+    }
+
+    console.log(`👤 Admin ${adminId} ${disabled ? 'disabled' : 'enabled'} user ${userId}`);
+
+    res.json({
+      success: true,
+      message: `User account ${disabled ? 'disabled' : 'enabled'} successfully`,
+      data: {
+        userId,
+        disabled,
+        revokedSessions
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin update user status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Reassign batches from a departing teacher to another teacher
+ * POST /api/admin/teachers/:teacherId/reassign-batches
+ * Body: { toTeacherId, batchIds? } - omit batchIds to move every batch
+ */
+const reassignTeacherBatches = async (req, res) => {
+  try {
+    const { teacherId: fromTeacherId } = req.params;
+    const { toTeacherId, batchIds } = req.body;
+
+    if (fromTeacherId === toTeacherId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Source and target teacher must be different'
+      });
+    }
+
+    const sources = await executeQuery(
+      'SELECT user_id, role FROM users WHERE user_id = ?',
+      [fromTeacherId]
+    );
+
+    if (sources.length === 0 || sources[0].role !== 'teacher') {
+      return res.status(404).json({
+        success: false,
+        message: 'Source teacher not found'
+      });
+    }
+
+    const targets = await executeQuery(
+      'SELECT user_id, name, role, disabled_at FROM users WHERE user_id = ?',
+      [toTeacherId]
+    );
+
+    if (targets.length === 0 || targets[0].role !== 'teacher') {
+      return res.status(404).json({
+        success: false,
+        message: 'Target teacher not found'
+      });
+    }
+
+    if (targets[0].disabled_at) {
+      return res.status(409).json({
+        success: false,
+        message: 'Target teacher account is disabled'
+      });
+    }
+
+    let query = 'UPDATE batches SET teacher_id = ? WHERE teacher_id = ?';
+    const params = [toTeacherId, fromTeacherId];
+
+    if (batchIds) {
+      query += ` AND batch_id IN (${batchIds.map(() => '?').join(', ')})`;
+      params.push(...batchIds);
+    }
+
+    // The new owner no longer needs a co-teacher/TA row on batches they now own
+    const [result] = await executeTransaction([
+      { query, params },
+      {
+        query: 'DELETE st FROM batch_staff st JOIN batches b ON st.batch_id = b.batch_id WHERE st.user_id = ? AND b.teacher_id = ?',
+        params: [toTeacherId, toTeacherId]
+      }
+    ]);
+
+    console.log(`👤 Admin ${req.user.userId} moved ${result.affectedRows} batch(es) from teacher ${fromTeacherId} to ${toTeacherId}`);
+
+    res.json({
+      success: true,
+      message: `${result.affectedRows} batch(es) reassigned to ${targets[0].name}`,
+      data: {
+        fromTeacherId,
+        toTeacherId,
+        reassignedCount: result.affectedRows
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin reassign batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Platform-wide statistics
+ * GET /api/admin/stats
+ */
+const getPlatformStats = async (req, res) => {
+  try {
+    const [userStats] = await executeQuery(`
+      SELECT
+        COUNT(*) as total_users,
+        COUNT(CASE WHEN role = 'student' THEN 1 END) as students,
+        COUNT(CASE WHEN role = 'teacher' THEN 1 END) as teachers,
+        COUNT(CASE WHEN role = 'admin' THEN 1 END) as admins,
+        COUNT(CASE WHEN disabled_at IS NOT NULL THEN 1 END) as disabled_users,
+        COUNT(CASE WHEN created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY) THEN 1 END) as new_users_last_7_days
+      FROM users
+    `);
+
+    const [batchStats] = await executeQuery(`
+      SELECT
+        (SELECT COUNT(*) FROM batches WHERE deleted_at IS NULL) as total_batches,
+        (SELECT COUNT(*) FROM batch_members bm JOIN batches b ON bm.batch_id = b.batch_id WHERE b.deleted_at IS NULL) as total_enrollments
+    `);
+
+    const [submissionStats] = await executeQuery(`
+      SELECT
+        COUNT(*) as total_submissions,
+        COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_submissions,
+        COUNT(CASE WHEN status = 'changes_requested' THEN 1 END) as changes_requested_submissions,
+        COUNT(CASE WHEN status = 'accepted' THEN 1 END) as accepted_submissions,
+        COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected_submissions,
+        COUNT(CASE WHEN created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY) THEN 1 END) as submissions_last_7_days
+      FROM submissions
+    `);
+
+    const [sessionStats] = await executeQuery(`
+      SELECT COUNT(*) as active_sessions
+      FROM user_sessions
+      WHERE revoked_at IS NULL AND expires_at > NOW()
+    `);
+
+    res.json({
+      success: true,
+      data: {
+        users: {
+          total: userStats.total_users,
+          students: userStats.students,
+          teachers: userStats.teachers,
+          admins: userStats.admins,
+          disabled: userStats.disabled_users,
+          newLast7Days: userStats.new_users_last_7_days
+        },
+        batches: {
+          total: batchStats.total_batches,
+          enrollments: batchStats.total_enrollments
+        },
+        submissions: {
+          total: submissionStats.total_submissions,
+          pending: submissionStats.pending_submissions,
+          changesRequested: submissionStats.changes_requested_submissions,
+          accepted: submissionStats.accepted_submissions,
+          rejected: submissionStats.rejected_submissions,
+          last7Days: submissionStats.submissions_last_7_days
+        },
+        activeSessions: sessionStats.active_sessions
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin platform stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  listUsers,
+  updateUserRole,
+  updateUserStatus,
+  reassignTeacherBatches,
+  getPlatformStats
+};
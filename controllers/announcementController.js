@@ -1,10 +1,14 @@
 const { pool } = require('../utils/database')
 const { sendSuccessResponse, sendErrorResponse } = require('../utils/responseHelper')
+const { userRoom, batchRoom } = require('../utils/realtime')
+const { notifyUsers } = require('../utils/notificationService')
 
 /**
  * Announcement Controller
  * Handles all announcement-related operations for batches
  * Teachers can create announcements, students can view and mark as read
+ * Role and batch access are enforced by route guards (middleware/authorize.js);
+ * bodies and IDs are validated (and IDs converted to integers) by the route's validation chain
  */
 
 /**
@@ -13,39 +17,13 @@ const { sendSuccessResponse, sendErrorResponse } = require('../utils/responseHel
  */
 const createAnnouncement = async (req, res) => {
   try {
-    const { batch_id, message } = req.body
+    const { batch_id: batchId, message, is_pinned: isPinned = false } = req.body
     const teacher_id = req.user?.userId || req.user?.user_id
 
-    // Validate required fields
-    if (!batch_id || !message || !teacher_id) {
-      return sendErrorResponse(res, 400, 'Batch ID, message, and user authentication are required')
-    }
-
-    // Ensure batch_id is a number
-    const batchId = parseInt(batch_id)
-    if (isNaN(batchId)) {
-      return sendErrorResponse(res, 400, 'Batch ID must be a valid number')
-    }
-
-    // Check if user is a teacher
-    if (req.user.role !== 'teacher') {
-      return sendErrorResponse(res, 403, 'Only teachers can create announcements')
-    }
-
-    // Verify teacher has access to this batch
-    const [batchCheck] = await pool.execute(
-      'SELECT batch_id FROM batches WHERE batch_id = ? AND teacher_id = ?',
-      [batchId, teacher_id]
-    )
-
-    if (batchCheck.length === 0) {
-      return sendErrorResponse(res, 403, 'You do not have access to this batch')
-    }
-
     // Create the announcement
     const [result] = await pool.execute(
-      'INSERT INTO announcements (batch_id, teacher_id, message) VALUES (?, ?, ?)',
-      [batchId, teacher_id, message]
+      'INSERT INTO announcements (batch_id, teacher_id, message, is_pinned) VALUES (?, ?, ?, ?)',
+      [batchId, teacher_id, message, isPinned]
     )
 
     const announcementId = result.insertId
@@ -56,6 +34,7 @@ const createAnnouncement = async (req, res) => {
         a.announcement_id,
         a.batch_id,
         a.message,
+        a.is_pinned,
         a.created_at,
         u.name as teacher_name,
         u.email as teacher_email
@@ -68,13 +47,35 @@ const createAnnouncement = async (req, res) => {
       return sendErrorResponse(res, 500, 'Failed to retrieve created announcement')
     }
 
-    // Emit real-time announcement to all users in the batch
+    const [members] = await pool.execute(
+      'SELECT student_id FROM batch_members WHERE batch_id = ?',
+      [batchId]
+    )
+    const studentIds = members.map(member => member.student_id)
+
+    // Emit real-time announcement to the batch room and every enrolled student's private room,
+    // so students get it even when they are not viewing the batch (each socket receives it once)
     const io = global.io
     if (io) {
-      io.to(`batch_${batchId}`).emit('announcementCreated', {
+      io.to([batchRoom(batchId), ...studentIds.map(userRoom)]).emit('announcementCreated', {
         announcement: announcement[0]
       })
-      console.log(`📢 Announcement broadcasted to batch ${batchId}`)
+      console.log(`📢 Announcement delivered to batch ${batchId} (${members.length} students)`)
+    }
+
+    // Add the announcement to every enrolled student's inbox
+    try {
+      const batchName = req.batchAccess.batch.name
+      await notifyUsers(io, studentIds, {
+        type: 'announcement',
+        title: `New announcement in ${batchName}`,
+        message: `${message.substring(0, 100)}${message.length > 100 ? '...' : ''}`,
+        actorId: teacher_id,
+        batchId
+      })
+    } catch (notificationError) {
+      console.error('Error creating announcement notifications:', notificationError)
+      // Don't fail the announcement if notifications fail
     }
 
     return sendSuccessResponse(res, 201, 'Announcement created successfully', announcement[0])
@@ -91,39 +92,17 @@ const createAnnouncement = async (req, res) => {
  */
 const getBatchAnnouncements = async (req, res) => {
   try {
-    const { batch_id } = req.params
+    const { batch_id: batchId } = req.params
     const user_id = req.user?.userId || req.user?.user_id
     const user_role = req.user?.role
 
-    // Validate required parameters
-    if (!batch_id || !user_id || !user_role) {
-      return sendErrorResponse(res, 400, 'Batch ID and user authentication are required')
-    }
-
-    // Ensure batch_id is a number
-    const batchId = parseInt(batch_id)
-    if (isNaN(batchId)) {
-      return sendErrorResponse(res, 400, 'Batch ID must be a valid number')
-    }
-
-    // Verify user has access to this batch
-    const [batchAccess] = await pool.execute(`
-      SELECT b.batch_id, b.teacher_id
-      FROM batches b
-      LEFT JOIN batch_members bm ON b.batch_id = bm.batch_id AND bm.student_id = ?
-      WHERE b.batch_id = ? AND (b.teacher_id = ? OR bm.student_id = ?)
-    `, [user_id, batchId, user_id, user_id])
-
-    if (batchAccess.length === 0) {
-      return sendErrorResponse(res, 403, 'You do not have access to this batch')
-    }
-
     // Get announcements with teacher details and read status for students
     let query = `
       SELECT 
         a.announcement_id,
         a.batch_id,
         a.message,
+        a.is_pinned,
         a.created_at,
         u.name as teacher_name,
         u.email as teacher_email
@@ -166,37 +145,9 @@ const getBatchAnnouncements = async (req, res) => {
  */
 const markAsRead = async (req, res) => {
   try {
-    const { announcement_id } = req.params
+    const { announcement_id: announcementId } = req.params
     const student_id = req.user?.userId || req.user?.user_id
 
-    // Validate required parameters
-    if (!announcement_id || !student_id) {
-      return sendErrorResponse(res, 400, 'Announcement ID and user authentication are required')
-    }
-
-    // Ensure announcement_id is a number
-    const announcementId = parseInt(announcement_id)
-    if (isNaN(announcementId)) {
-      return sendErrorResponse(res, 400, 'Announcement ID must be a valid number')
-    }
-
-    // Check if user is a student
-    if (req.user.role !== 'student') {
-      return sendErrorResponse(res, 403, 'Only students can mark announcements as read')
-    }
-
-    // Verify announcement exists and student has access to the batch
-    const [announcementCheck] = await pool.execute(`
-      SELECT a.announcement_id, a.batch_id
-      FROM announcements a
-      JOIN batch_members bm ON a.batch_id = bm.batch_id
-      WHERE a.announcement_id = ? AND bm.student_id = ?
-    `, [announcementId, student_id])
-
-    if (announcementCheck.length === 0) {
-      return sendErrorResponse(res, 404, 'Announcement not found or access denied')
-    }
-
     // Check if already marked as read
     const [existingRead] = await pool.execute(
       'SELECT read_id FROM announcement_reads WHERE announcement_id = ? AND student_id = ?',
@@ -227,35 +178,9 @@ const markAsRead = async (req, res) => {
  */
 const getUnreadCount = async (req, res) => {
   try {
-    const { batch_id } = req.params
+    const { batch_id: batchId } = req.params
     const student_id = req.user?.userId || req.user?.user_id
 
-    // Validate required parameters
-    if (!batch_id || !student_id) {
-      return sendErrorResponse(res, 400, 'Batch ID and user authentication are required')
-    }
-
-    // Ensure batch_id is a number
-    const batchId = parseInt(batch_id)
-    if (isNaN(batchId)) {
-      return sendErrorResponse(res, 400, 'Batch ID must be a valid number')
-    }
-
-    // Check if user is a student
-    if (req.user.role !== 'student') {
-      return sendErrorResponse(res, 403, 'Only students can check unread count')
-    }
-
-    // Verify student has access to this batch
-    const [batchAccess] = await pool.execute(
-      'SELECT batch_id FROM batch_members WHERE batch_id = ? AND student_id = ?',
-      [batchId, student_id]
-    )
-
-    if (batchAccess.length === 0) {
-      return sendErrorResponse(res, 403, 'You do not have access to this batch')
-    }
-
     // Get unread count
     const [unreadCount] = await pool.execute(`
       SELECT COUNT(*) as unread_count
@@ -275,39 +200,39 @@ const getUnreadCount = async (req, res) => {
 }
 
 /**
- * Delete an announcement (Teacher only)
- * DELETE /api/announcements/:announcement_id
+ * Pin or unpin an announcement (its author, or the batch owner or a co-teacher)
+ * PUT /api/announcements/:announcement_id/pin
+ * Pinned announcements are copied when the batch is cloned
  */
-const deleteAnnouncement = async (req, res) => {
+const setAnnouncementPinned = async (req, res) => {
   try {
-    const { announcement_id } = req.params
-    const teacher_id = req.user?.userId || req.user?.user_id
+    const { announcement_id: announcementId } = req.params
+    const { is_pinned: isPinned } = req.body
 
-    // Validate required parameters
-    if (!announcement_id || !teacher_id) {
-      return sendErrorResponse(res, 400, 'Announcement ID and user authentication are required')
-    }
-
-    // Ensure announcement_id is a number
-    const announcementId = parseInt(announcement_id)
-    if (isNaN(announcementId)) {
-      return sendErrorResponse(res, 400, 'Announcement ID must be a valid number')
-    }
+    await pool.execute(
+      'UPDATE announcements SET is_pinned = ? WHERE announcement_id = ?',
+      [isPinned, announcementId]
+    )
 
-    // Check if user is a teacher
-    if (req.user.role !== 'teacher') {
-      return sendErrorResponse(res, 403, 'Only teachers can delete announcements')
-    }
+    return sendSuccessResponse(res, 200, isPinned ? 'Announcement pinned' : 'Announcement unpinned', {
+      announcement_id: announcementId,
+      is_pinned: isPinned
+    })
 
-    // Verify teacher owns this announcement
-    const [announcementCheck] = await pool.execute(
-      'SELECT announcement_id FROM announcements WHERE announcement_id = ? AND teacher_id = ?',
-      [announcementId, teacher_id]
-    )
+  } catch (error) {
+    console.error('Error pinning announcement:', error)
+    return sendErrorResponse(res, 500, 'Internal server error')
+  }
+}
 
-    if (announcementCheck.length === 0) {
-      return sendErrorResponse(res, 404, 'Announcement not found or access denied')
-    }
+/**
+ * Delete an announcement (its author, or the batch owner or a co-teacher)
+ * DELETE /api/announcements/:announcement_id
+ */
+const deleteAnnouncement = async (req, res) => {
+  try {
+    const { announcement_id: announcementId } = req.params
+    const teacher_id = req.user?.userId || req.user?.user_id
 
     // Delete the announcement (cascade will handle announcement_reads)
     await pool.execute('DELETE FROM announcements WHERE announcement_id = ?', [announcementId])
@@ -325,5 +250,6 @@ module.exports = {
   getBatchAnnouncements,
   markAsRead,
   getUnreadCount,
+  setAnnouncementPinned,
   deleteAnnouncement
 }
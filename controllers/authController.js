@@ -1,26 +1,111 @@
 // Use unified database facade for consistent access
 const { executeQuery, isDatabaseAvailable, pool } = require('../utils/database');
 const jwt = require('jsonwebtoken');
+const {
+  REFRESH_TOKEN_TTL_DAYS,
+  getRequestMeta,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  findSessionIdByRefreshToken,
+  listActiveSessions
+} = require('../utils/sessionService');
+const { attachRosterInvitations } = require('../utils/batchMembershipService');
 
 /**
  * Authentication Controller
  * Handles user registration and profile creation after Firebase auth
  * Manages JWT token generation for backend API access
+ * Identity (uid/email) always comes from the verified Firebase ID token (req.firebaseUser)
  */
 
+const authCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax'
+});
+
+/**
+ * Set access and refresh token cookies
+ * Refresh cookie is scoped to /api/auth so it is only sent to refresh/logout
+ */
+const setAuthCookies = (res, { accessToken, refreshToken, expiresIn }) => {
+  res.cookie('authToken', accessToken, {
+    ...authCookieOptions(),
+    maxAge: expiresIn * 1000
+  });
+  res.cookie('refreshToken', refreshToken, {
+    ...authCookieOptions(),
+    path: '/api/auth',
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+  });
+};
+
+/**
+ * Clear access and refresh token cookies
+ */
+const clearAuthCookies = (res) => {
+  res.clearCookie('authToken', authCookieOptions());
+  res.clearCookie('refreshToken', { ...authCookieOptions(), path: '/api/auth' });
+};
+
+/**
+ * Reject sign-in for accounts disabled by an administrator
+ */
+const sendAccountDisabled = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: 'This account has been disabled. Please contact your administrator.',
+    error: 'ACCOUNT_DISABLED'
+  });
+};
+
+/**
+ * Create a session for a signed-in user and set its cookies
+ * @returns {Promise<Object>} { sessionId, accessToken, refreshToken, expiresIn }
+ */
+const issueSession = async (req, res, user) => {
+  const session = await createSession(user, getRequestMeta(req));
+  setAuthCookies(res, session);
+  return session;
+};
+
+/**
+ * Enroll a student in batches whose roster import listed their email
+ * Only a verified email is trusted; anyone can create a password account under an unverified one
+ * A failed auto-enrollment must not block sign-up; the teacher can re-import
+ * @returns {Promise<Array>} Batches joined ({ batchId, batchName })
+ */
+const enrollFromRosterInvitations = async (req, userId, email) => {
+  if (!req.firebaseUser.emailVerified) {
+    return [];
+  }
+
+  try {
+    return await attachRosterInvitations(req.app.get('io'), userId, email);
+  } catch (error) {
+    console.error('Roster invitation enrollment error:', error);
+    return [];
+  }
+};
+
 /**
  * Register new user after Firebase authentication
  * Creates user record in MySQL database with role information
  */
 const registerUser = async (req, res) => {
   try {
-    const { firebaseUid, name, email, role, rollNumber, employeeId, photoURL } = req.body;
+    const { uid: firebaseUid, email, emailVerified } = req.firebaseUser;
+    const { role, rollNumber, employeeId } = req.body;
+    const name = req.body.name || req.firebaseUser.name;
+    const photoURL = req.body.photoURL || req.firebaseUser.picture;
 
     // Validate required fields
-    if (!firebaseUid || !name || !email || !role) {
+    if (!name || !role) {
       return res.status(400).json({
         success: false,
-        message: 'All fields are required: firebaseUid, name, email, role'
+        message: 'All fields are required: idToken, name, role'
       });
     }
 
@@ -57,8 +142,8 @@ const registerUser = async (req, res) => {
 
     // Insert new user - handle undefined values by converting to null
     const result = await executeQuery(
-      'INSERT INTO users (firebase_uid, name, email, role, photo_url) VALUES (?, ?, ?, ?, ?)',
-      [firebaseUid, name, email, role, photoURL || null]
+      'INSERT INTO users (firebase_uid, name, email, role, photo_url, email_verified) VALUES (?, ?, ?, ?, ?, ?)',
+      [firebaseUid, name, email, role, photoURL || null, emailVerified]
     );
 
     const userId = result.insertId;
@@ -76,16 +161,10 @@ const registerUser = async (req, res) => {
       );
     }
 
-    // Generate JWT token for backend API access
-    const jwtSecret = process.env.JWT_SECRET;
-    if (!jwtSecret) {
-      return res.status(500).json({ success: false, message: 'Server misconfiguration: JWT secret missing' });
-    }
-    const token = jwt.sign(
-      { userId, firebaseUid, role },
-      jwtSecret,
-      { expiresIn: '24h' }
-    );
+    const joinedBatches = role === 'student' ? await enrollFromRosterInvitations(req, userId, email) : [];
+
+    // Start a session: short-lived access token plus rotating refresh token
+    const session = await issueSession(req, res, { userId, firebaseUid, role });
 
     res.status(201).json({
       success: true,
@@ -95,7 +174,10 @@ const registerUser = async (req, res) => {
         name,
         email,
         role,
-        token
+        token: session.accessToken,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
+        joinedBatches
       }
     });
 
@@ -119,12 +201,20 @@ const registerUser = async (req, res) => {
 
 /**
  * Get user information by Firebase UID
- * Used for authentication verification and profile loading
+ * Used for authentication verification and profile loading (does not start a session)
+ * The UID in the URL must belong to the verified Firebase token
  */
 const getUserByFirebaseUid = async (req, res) => {
   try {
     const { firebaseUid } = req.params;
 
+    if (firebaseUid !== req.firebaseUser.uid) {
+      return res.status(403).json({
+        success: false,
+        message: 'Firebase UID does not match the authenticated account'
+      });
+    }
+
     // Check if database is available
     const dbAvailable = await isDatabaseAvailable();
     if (!dbAvailable) {
@@ -136,7 +226,7 @@ const getUserByFirebaseUid = async (req, res) => {
     }
 
     const users = await executeQuery(
-      'SELECT user_id, firebase_uid, name, email, role, created_at FROM users WHERE firebase_uid = ?',
+      'SELECT user_id, firebase_uid, name, email, role, created_at, disabled_at FROM users WHERE firebase_uid = ?',
       [firebaseUid]
     );
 
@@ -147,25 +237,17 @@ const getUserByFirebaseUid = async (req, res) => {
       });
     }
 
-    const user = users[0];
+    const { disabled_at, ...user } = users[0];
 
-    // Generate JWT token
-    const jwtSecret = process.env.JWT_SECRET;
-    if (!jwtSecret) {
-      return res.status(500).json({ success: false, message: 'Server misconfiguration: JWT secret missing' });
+    if (disabled_at) {
+      return sendAccountDisabled(res);
     }
-    const token = jwt.sign(
-      { userId: user.user_id, firebaseUid: user.firebase_uid, role: user.role },
-      jwtSecret,
-      { expiresIn: '24h' }
-    );
 
+    // Profile only: sessions are started by sign-in and renewed through /refresh,
+    // so loading the profile on every page does not create a new device session
     res.json({
       success: true,
-      data: {
-        ...user,
-        token
-      }
+      data: user
     });
 
   } catch (error) {
@@ -183,21 +265,24 @@ const getUserByFirebaseUid = async (req, res) => {
  */
 const googleSignIn = async (req, res) => {
   try {
-    const { firebaseUid, name, email, role, photoURL } = req.body;
+    const { uid: firebaseUid, email, emailVerified } = req.firebaseUser;
+    const { role } = req.body;
+    const name = req.body.name || req.firebaseUser.name;
+    const photoURL = req.body.photoURL || req.firebaseUser.picture;
 
     // Validate required fields
-    if (!firebaseUid || !name || !email || !role) {
+    if (!name || !role) {
       return res.status(400).json({
         success: false,
-        message: 'All fields are required: firebaseUid, name, email, role'
+        message: 'All fields are required: idToken, name, role'
       });
     }
 
-    // Validate role
-    if (!['student', 'teacher'].includes(role)) {
+    // Validate role (admin is only accepted for existing accounts)
+    if (!['student', 'teacher', 'admin'].includes(role)) {
       return res.status(400).json({
         success: false,
-        message: 'Role must be either "student" or "teacher"'
+        message: 'Role must be "student", "teacher" or "admin"'
       });
     }
 
@@ -213,26 +298,52 @@ const googleSignIn = async (req, res) => {
 
     // Check if user already exists
     let existingUser = await executeQuery(
-      'SELECT user_id, role FROM users WHERE firebase_uid = ?',
+      'SELECT user_id, role, disabled_at FROM users WHERE firebase_uid = ?',
       [firebaseUid]
     );
 
     let userId;
+    let joinedBatches = [];
 
     if (existingUser.length > 0) {
       // User exists, update profile if needed
       userId = existingUser[0].user_id;
-      
+
+      if (existingUser[0].disabled_at) {
+        return sendAccountDisabled(res);
+      }
+
+      // Verify role matches; the session is issued with the stored role
+      if (existingUser[0].role !== role) {
+        return res.status(403).json({
+          success: false,
+          message: `Account is registered as ${existingUser[0].role}, not ${role}`
+        });
+      }
+
       // Update user information
       await executeQuery(
-        'UPDATE users SET name = ?, email = ?, photo_url = ? WHERE firebase_uid = ?',
-        [name, email, photoURL || null, firebaseUid]
+        'UPDATE users SET name = ?, email = ?, photo_url = ?, email_verified = ? WHERE firebase_uid = ?',
+        [name, email, photoURL || null, emailVerified, firebaseUid]
       );
+
+      // Roster invitations wait for a verified email, which may only arrive after sign-up
+      if (role === 'student') {
+        joinedBatches = await enrollFromRosterInvitations(req, userId, email);
+      }
     } else {
+      // Admin accounts are granted by an administrator, never self-registered
+      if (role === 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Admin accounts cannot be self-registered'
+        });
+      }
+
       // Create new user
       const result = await executeQuery(
-        'INSERT INTO users (firebase_uid, name, email, role, photo_url) VALUES (?, ?, ?, ?, ?)',
-        [firebaseUid, name, email, role, photoURL || null]
+        'INSERT INTO users (firebase_uid, name, email, role, photo_url, email_verified) VALUES (?, ?, ?, ?, ?, ?)',
+        [firebaseUid, name, email, role, photoURL || null, emailVerified]
       );
 
       userId = result.insertId;
@@ -248,27 +359,12 @@ const googleSignIn = async (req, res) => {
           'INSERT INTO student_profiles (user_id) VALUES (?)',
           [userId]
         );
+        joinedBatches = await enrollFromRosterInvitations(req, userId, email);
       }
     }
 
-    // Generate JWT token for backend API access
-    const jwtSecret = process.env.JWT_SECRET;
-    if (!jwtSecret) {
-      return res.status(500).json({ success: false, message: 'Server misconfiguration: JWT secret missing' });
-    }
-    const token = jwt.sign(
-      { userId, firebaseUid, role },
-      jwtSecret,
-      { expiresIn: '24h' }
-    );
-
-    // Set auth token as HTTP-only cookie for security
-    res.cookie('authToken', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days in milliseconds
-    });
+    // Start a session and set auth cookies (HTTP-only)
+    const session = await issueSession(req, res, { userId, firebaseUid, role });
 
     res.json({
       success: true,
@@ -278,7 +374,10 @@ const googleSignIn = async (req, res) => {
         name,
         email,
         role,
-        token
+        token: session.accessToken,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
+        joinedBatches
       }
     });
 
@@ -305,13 +404,14 @@ const googleSignIn = async (req, res) => {
  */
 const emailSignIn = async (req, res) => {
   try {
-    const { firebaseUid, email, role, rollNumber, employeeId } = req.body;
+    const { uid: firebaseUid, email, emailVerified } = req.firebaseUser;
+    const { role, rollNumber, employeeId } = req.body;
 
     // Validate required fields
-    if (!firebaseUid || !email || !role) {
+    if (!role) {
       return res.status(400).json({
         success: false,
-        message: 'Firebase UID, email, and role are required'
+        message: 'Firebase ID token and role are required'
       });
     }
 
@@ -332,7 +432,7 @@ const emailSignIn = async (req, res) => {
 
     // Get user from database
     const [users] = await pool.execute(
-      'SELECT user_id, firebase_uid, name, email, role FROM users WHERE firebase_uid = ? AND email = ?',
+      'SELECT user_id, firebase_uid, name, email, role, disabled_at FROM users WHERE firebase_uid = ? AND email = ?',
       [firebaseUid, email]
     );
 
@@ -343,7 +443,11 @@ const emailSignIn = async (req, res) => {
       });
     }
 
-    const user = users[0];
+    const { disabled_at, ...user } = users[0];
+
+    if (disabled_at) {
+      return sendAccountDisabled(res);
+    }
 
     // Verify role matches
     if (user.role !== role) {
@@ -398,23 +502,16 @@ const emailSignIn = async (req, res) => {
       }
     }
 
-    // Generate JWT token
-    const jwtSecret = process.env.JWT_SECRET;
-    if (!jwtSecret) {
-      return res.status(500).json({ success: false, message: 'Server misconfiguration: JWT secret missing' });
-    }
-    const token = jwt.sign(
-      { userId: user.user_id, firebaseUid: user.firebase_uid, role: user.role },
-      jwtSecret,
-      { expiresIn: '24h' }
-    );
+    await executeQuery('UPDATE users SET email_verified = ? WHERE user_id = ?', [emailVerified, user.user_id]);
+
+    // Roster invitations wait for a verified email, which may only arrive after sign-up
+    const joinedBatches = role === 'student' ? await enrollFromRosterInvitations(req, user.user_id, email) : [];
 
-    // Set auth token as HTTP-only cookie for security
-    res.cookie('authToken', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days in milliseconds
+    // Start a session and set auth cookies (HTTP-only)
+    const session = await issueSession(req, res, {
+      userId: user.user_id,
+      firebaseUid: user.firebase_uid,
+      role: user.role
     });
 
     res.json({
@@ -422,7 +519,10 @@ const emailSignIn = async (req, res) => {
       message: 'Sign in successful',
       data: {
         ...user,
-        token
+        token: session.accessToken,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
+        joinedBatches
       }
     });
 
@@ -435,18 +535,84 @@ const emailSignIn = async (req, res) => {
   }
 };
 
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * The presented refresh token is consumed; reusing it revokes the whole session
+ */
+const refreshSession = async (req, res) => {
+  try {
+    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token required'
+      });
+    }
+
+    const result = await rotateRefreshToken(req.app.get('io'), refreshToken, getRequestMeta(req));
+
+    if (!result.success) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: result.message,
+        error: result.error
+      });
+    }
+
+    setAuthCookies(res, result);
+
+    res.json({
+      success: true,
+      message: 'Session refreshed',
+      data: {
+        userId: result.user.userId,
+        role: result.user.role,
+        token: result.accessToken,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during session refresh'
+    });
+  }
+};
+
 /**
  * Handle user logout
- * Clears the authentication cookie
+ * Revokes the current session server-side and clears the authentication cookies
  */
 const logout = async (req, res) => {
   try {
-    // Clear the auth token cookie
-    res.clearCookie('authToken', {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax'
-    });
+    // Identify the session from the refresh token, falling back to the access token
+    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+    let sessionId = refreshToken ? await findSessionIdByRefreshToken(refreshToken) : null;
+
+    if (!sessionId) {
+      const authHeader = req.headers['authorization'];
+      const accessToken = (authHeader && authHeader.split(' ')[1]) || req.cookies?.authToken;
+      if (accessToken && process.env.JWT_SECRET) {
+        try {
+          // Expired access tokens may still identify the session being closed
+          const decoded = jwt.verify(accessToken, process.env.JWT_SECRET, { ignoreExpiration: true });
+          sessionId = decoded.sid || null;
+        } catch (tokenError) {
+          sessionId = null;
+        }
+      }
+    }
+
+    if (sessionId) {
+      await revokeSession(req.app.get('io'), sessionId, 'logout');
+    }
+
+    clearAuthCookies(res);
 
     res.json({
       success: true,
@@ -462,10 +628,123 @@ const logout = async (req, res) => {
   }
 };
 
+/**
+ * Sign out everywhere
+ * Revokes every session for the authenticated user, including the current one
+ */
+const logoutAllSessions = async (req, res) => {
+  try {
+    const { userId } = req.user;
+
+    const revokedCount = await revokeAllSessions(req.app.get('io'), userId, 'logout_all');
+
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: 'Signed out of all sessions',
+      data: {
+        revokedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Logout all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during logout'
+    });
+  }
+};
+
+/**
+ * List the devices/browsers the current user is signed into
+ * Marks the session making the request as current
+ */
+const getSessions = async (req, res) => {
+  try {
+    const { userId, sid } = req.user;
+
+    const sessions = await listActiveSessions(userId);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session.session_id,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        lastSeenAt: session.last_seen_at,
+        createdAt: session.created_at,
+        expiresAt: session.expires_at,
+        isCurrent: session.session_id === sid
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Sign out a single device by revoking its session
+ * Users can only revoke their own sessions
+ */
+const deleteSession = async (req, res) => {
+  try {
+    const { userId, sid } = req.user;
+    const sessionId = parseInt(req.params.sessionId);
+
+    if (isNaN(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+
+    const revoked = await revokeSession(req.app.get('io'), sessionId, 'user_revoked', userId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found or already signed out'
+      });
+    }
+
+    // Revoking the session making this request is a logout
+    if (sessionId === sid) {
+      clearAuthCookies(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Session signed out successfully',
+      data: {
+        sessionId,
+        wasCurrent: sessionId === sid
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   registerUser,
   getUserByFirebaseUid,
   googleSignIn,
   emailSignIn,
-  logout
+  refreshSession,
+  logout,
+  logoutAllSessions,
+  getSessions,
+  deleteSession
 };
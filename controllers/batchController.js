@@ -1,10 +1,21 @@
-const { pool } = require('../utils/database');
+const crypto = require('crypto');
+const { pool, executeTransaction } = require('../utils/database');
 const bcrypt = require('bcryptjs');
+const {
+  isBlockedFromBatch,
+  addStudentToBatch,
+  requestToJoinBatch,
+  sendJoinRequestResponse
+} = require('../utils/batchMembershipService');
+const { BATCH_PURGE_GRACE_DAYS } = require('../utils/batchLifecycleService');
+const { batchRoom } = require('../utils/realtime');
 
 /**
  * Batch Controller
  * Handles batch/classroom management operations
  * Manages batch creation, editing, deletion, joining, and member operations
+ * Deleting a batch is a soft delete with a grace period; archiving makes it read-only
+ * (see utils/batchLifecycleService.js)
  */
 
 /**
@@ -13,32 +24,16 @@ const bcrypt = require('bcryptjs');
  */
 const createBatch = async (req, res) => {
   try {
-    const { userId, role } = req.user; // From JWT middleware
-    const { name, collegeName, description, password, iconImage, coverImage } = req.body;
-
-    // Validate teacher role
-    if (role !== 'teacher') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only teachers can create batches'
-      });
-    }
-
-    // Validate required fields
-    if (!name || !collegeName || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Name, college name, and password are required'
-      });
-    }
+    const { userId } = req.user; // From JWT middleware
+    const { name, collegeName, description, password, iconImage, coverImage, requiresApproval = false, requireRejectionReason = false } = req.body;
 
     // Hash the batch password for security
     const hashedPassword = await bcrypt.hash(password, 10);
 
     // Insert new batch into database with both icon and cover images
     const [result] = await pool.execute(
-      'INSERT INTO batches (teacher_id, name, college_name, description, password, icon_image, cover_image) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [userId, name, collegeName, description || '', hashedPassword, iconImage || '', coverImage || '']
+      'INSERT INTO batches (teacher_id, name, college_name, description, password, icon_image, cover_image, requires_approval, require_rejection_reason) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [userId, name, collegeName, description || '', hashedPassword, iconImage || '', coverImage || '', requiresApproval, requireRejectionReason]
     );
 
     res.status(201).json({
@@ -48,7 +43,9 @@ const createBatch = async (req, res) => {
         batchId: result.insertId,
         name,
         collegeName,
-        description
+        description,
+        requiresApproval,
+        requireRejectionReason
       }
     });
 
@@ -62,22 +59,117 @@ const createBatch = async (req, res) => {
 };
 
 /**
- * Get all batches created by a teacher
- * Teacher-only operation
+ * Clone a batch for a new term
+ * Copies the batch details, practicals (with rubrics, without due dates) and pinned announcements into a new
+ * batch owned by the caller, with a new password; members, staff and submissions are not copied.
+ * Body fields (name, collegeName, description, password, requiresApproval, requireRejectionReason) override the source;
+ * a generated password is returned once in the response.
+ * Owner or co-teacher operation (enforced by authorizeBatch)
  */
-const getTeacherBatches = async (req, res) => {
+const cloneBatch = async (req, res) => {
   try {
-    const { userId, role } = req.user;
+    const { userId } = req.user;
+    const { batchId } = req.params;
 
-    // Validate teacher role
-    if (role !== 'teacher') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only teachers can view their batches'
-      });
-    }
+    const [sources] = await pool.execute(
+      'SELECT name, college_name, description, icon_image, cover_image, requires_approval, require_rejection_reason FROM batches WHERE batch_id = ?',
+      [batchId]
+    );
+    const source = sources[0];
+
+    const name = req.body.name ?? `${source.name} (copy)`.slice(0, 100);
+    const collegeName = req.body.collegeName ?? source.college_name;
+    const description = req.body.description ?? source.description;
+    const requiresApproval = req.body.requiresApproval ?? Boolean(source.requires_approval);
+    const requireRejectionReason = req.body.requireRejectionReason ?? Boolean(source.require_rejection_reason);
+    const generatedPassword = req.body.password ? null : crypto.randomBytes(6).toString('base64url');
+    const hashedPassword = await bcrypt.hash(req.body.password || generatedPassword, 10);
+
+    const [sourcePracticals] = await pool.execute(
+      'SELECT practical_id FROM practicals WHERE batch_id = ? ORDER BY due_at IS NULL, due_at ASC, practical_id ASC',
+      [batchId]
+    );
+
+    // One transaction so a failed copy never leaves a half-cloned batch behind;
+    // @cloned_batch_id and @cloned_practical_id carry new IDs to the copy statements on the same connection
+    const results = await executeTransaction([
+      {
+        query: 'INSERT INTO batches (teacher_id, name, college_name, description, password, icon_image, cover_image, requires_approval, require_rejection_reason) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        params: [userId, name, collegeName, description || '', hashedPassword, source.icon_image || '', source.cover_image || '', requiresApproval, requireRejectionReason]
+      },
+      {
+        query: 'SET @cloned_batch_id = LAST_INSERT_ID()'
+      },
+      ...sourcePracticals.flatMap(({ practical_id }) => [
+        {
+          query: `INSERT INTO practicals (batch_id, title, instructions, allowed_languages, max_marks, attachments, late_policy, late_penalty_per_day, max_attempts, created_by)
+                  SELECT @cloned_batch_id, title, instructions, allowed_languages, max_marks, attachments, late_policy, late_penalty_per_day, max_attempts, ?
+                  FROM practicals
+                  WHERE practical_id = ?`,
+          params: [userId, practical_id]
+        },
+        {
+          query: 'SET @cloned_practical_id = LAST_INSERT_ID()'
+        },
+        {
+          query: `INSERT INTO practical_rubric_criteria (practical_id, position, title, description, weight, levels)
+                  SELECT @cloned_practical_id, position, title, description, weight, levels
+                  FROM practical_rubric_criteria
+                  WHERE practical_id = ?`,
+          params: [practical_id]
+        }
+      ]),
+      {
+        query: `INSERT INTO announcements (batch_id, teacher_id, message, is_pinned)
+                SELECT @cloned_batch_id, ?, message, TRUE
+                FROM announcements
+                WHERE batch_id = ? AND is_pinned = TRUE
+                ORDER BY created_at ASC, announcement_id ASC`,
+        params: [userId, batchId]
+      }
+    ]);
+    const batchResult = results[0];
+    const announcementResult = results[results.length - 1];
+
+    console.log(`🧬 Batch ${batchId} cloned into batch ${batchResult.insertId} by ${userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Batch cloned successfully',
+      data: {
+        batchId: batchResult.insertId,
+        sourceBatchId: parseInt(batchId),
+        name,
+        collegeName,
+        description,
+        requiresApproval,
+        requireRejectionReason,
+        password: generatedPassword,
+        copied: {
+          practicals: sourcePracticals.length,
+          pinnedAnnouncements: announcementResult.affectedRows
+        }
+      }
+    });
 
-    // Get all batches created by this teacher with member count
+  } catch (error) {
+    console.error('Clone batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get all batches a teacher owns or is on the staff of
+ * Teacher-only operation; staff_role is 'owner', 'co_teacher' or 'ta'
+ */
+const getTeacherBatches = async (req, res) => {
+  try {
+    const { userId } = req.user;
+
+    // Get all batches this teacher owns or helps teach, with member count
     const [batches] = await pool.execute(`
       SELECT 
         b.batch_id,
@@ -86,15 +178,20 @@ const getTeacherBatches = async (req, res) => {
         b.description,
         b.icon_image,
         b.cover_image,
+        b.requires_approval,
+        b.require_rejection_reason,
+        b.archived_at,
         b.created_at,
+        IF(b.teacher_id = ?, 'owner', st.role) as staff_role,
         COUNT(bm.student_id) as member_count
       FROM batches b
+      LEFT JOIN batch_staff st ON b.batch_id = st.batch_id AND st.user_id = ?
       LEFT JOIN batch_members bm ON b.batch_id = bm.batch_id
       LEFT JOIN teacher_profiles tp ON b.teacher_id = tp.user_id
-      WHERE b.teacher_id = ?
-      GROUP BY b.batch_id
+      WHERE (b.teacher_id = ? OR st.user_id IS NOT NULL) AND b.deleted_at IS NULL
+      GROUP BY b.batch_id, st.role
       ORDER BY b.created_at DESC
-    `, [userId]);
+    `, [userId, userId, userId]);
 
     res.json({
       success: true,
@@ -112,11 +209,10 @@ const getTeacherBatches = async (req, res) => {
 
 /**
  * Get batch details with members
- * Accessible by teacher or batch members
+ * Accessible by teacher or batch members (enforced by authorizeBatch)
  */
 const getBatchDetails = async (req, res) => {
   try {
-    const { userId, role } = req.user;
     const { batchId } = req.params;
 
     // Get batch information with teacher details
@@ -128,6 +224,9 @@ const getBatchDetails = async (req, res) => {
         b.description,
         b.icon_image,
         b.cover_image,
+        b.requires_approval,
+        b.require_rejection_reason,
+        b.archived_at,
         b.created_at,
         b.teacher_id,
         u.name as teacher_name,
@@ -149,26 +248,6 @@ const getBatchDetails = async (req, res) => {
 
     const batch = batches[0];
 
-    // Check if user has access to this batch
-    const isTeacher = role === 'teacher' && batch.teacher_id == userId; // Use == for type comparison
-    let isMember = false;
-
-    if (role === 'student') {
-      const [memberCheck] = await pool.execute(
-        'SELECT 1 FROM batch_members WHERE batch_id = ? AND student_id = ?',
-        [batchId, userId]
-      );
-      isMember = memberCheck.length > 0;
-    }
-
-    // Allow access if user is the teacher (owner) or a member
-    if (!isTeacher && !isMember) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this batch'
-      });
-    }
-
     // Get batch members
     const [members] = await pool.execute(`
       SELECT 
@@ -208,32 +287,16 @@ const getBatchDetails = async (req, res) => {
 
 /**
  * Join a batch with password
- * Student-only operation
+ * Student-only operation; batches that require approval get a pending join request instead
  */
 const joinBatch = async (req, res) => {
   try {
-    const { userId, role } = req.user;
+    const { userId } = req.user;
     const { batchId, password } = req.body;
 
-    // Validate student role
-    if (role !== 'student') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only students can join batches'
-      });
-    }
-
-    // Validate required fields
-    if (!batchId || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Batch ID and password are required'
-      });
-    }
-
     // Get batch information and verify password
     const [batches] = await pool.execute(
-      'SELECT batch_id, name, password FROM batches WHERE batch_id = ?',
+      'SELECT batch_id, name, teacher_id, password, requires_approval, archived_at FROM batches WHERE batch_id = ? AND deleted_at IS NULL',
       [batchId]
     );
 
@@ -246,6 +309,14 @@ const joinBatch = async (req, res) => {
 
     const batch = batches[0];
 
+    if (batch.archived_at) {
+      return res.status(409).json({
+        success: false,
+        message: 'This batch is archived and no longer accepts new members',
+        error: 'BATCH_ARCHIVED'
+      });
+    }
+
     // Verify password
     const passwordMatch = await bcrypt.compare(password, batch.password);
     if (!passwordMatch) {
@@ -255,99 +326,24 @@ const joinBatch = async (req, res) => {
       });
     }
 
-    // Check if student is already a member
-    const [existingMember] = await pool.execute(
-      'SELECT 1 FROM batch_members WHERE batch_id = ? AND student_id = ?',
-      [batchId, userId]
-    );
-
-    if (existingMember.length > 0) {
-      return res.status(409).json({
+    if (await isBlockedFromBatch(batch.batch_id, userId)) {
+      return res.status(403).json({
         success: false,
-        message: 'You are already a member of this batch'
+        message: 'You are not allowed to join this batch'
       });
     }
 
-    // Add student to batch
-    await pool.execute(
-      'INSERT INTO batch_members (batch_id, student_id) VALUES (?, ?)',
-      [batchId, userId]
-    );
-
-    // Get student information for notification
-    const [studentData] = await pool.execute(`
-      SELECT 
-        u.name as student_name,
-        u.email as student_email,
-        sp.roll_number as student_roll_number,
-        sp.profile_picture_url as student_avatar
-      FROM users u
-      LEFT JOIN student_profiles sp ON u.user_id = sp.user_id
-      WHERE u.user_id = ?
-    `, [userId]);
-
-    const student = studentData[0];
-
-    // Get batch teacher information
-    const [teacherData] = await pool.execute(
-      'SELECT teacher_id FROM batches WHERE batch_id = ?',
-      [batchId]
-    );
-
-    if (teacherData.length > 0) {
-      const teacherId = teacherData[0].teacher_id;
-
-      // Create notification for teacher
-      const { createNotification } = require('./notificationController');
-      
-      try {
-        await createNotification({
-          body: {
-            teacherId: teacherId,
-            studentId: userId,
-            batchId: batchId,
-            submissionId: null, // No submission for batch join
-            type: 'batch_join',
-            title: `New Student Joined ${batch.name}`,
-            message: `${student.student_name} has joined your batch "${batch.name}"`
-          }
-        }, {
-          json: () => {} // Mock response for internal call
-        });
-      } catch (notificationError) {
-        console.error('Error creating batch join notification:', notificationError);
-        // Don't fail the join if notification fails
-      }
+    if (batch.requires_approval) {
+      return sendJoinRequestResponse(res, batch, await requestToJoinBatch(req.app.get('io'), batch, userId));
+    }
 
-      // Send real-time notification to teacher
-      const io = req.app.get('io');
-      if (io) {
-        io.to(`teacher_notifications_${teacherId}`).emit('new_notification', {
-          id: Date.now(), // Temporary ID for real-time update
-          type: 'batch_join',
-          user: {
-            name: student.student_name,
-            email: student.student_email,
-            roll_number: student.student_roll_number,
-            avatar: student.student_avatar,
-            fallback: student.student_name.charAt(0).toUpperCase()
-          },
-          action: 'joined',
-          target: batch.name,
-          content: `${student.student_name} has joined your batch`,
-          timestamp: new Date().toLocaleDateString('en-US', {
-            weekday: 'long',
-            hour: 'numeric',
-            minute: '2-digit',
-            hour12: true
-          }),
-          timeAgo: 'Just now',
-          isRead: false,
-          submission_id: null,
-          batch_id: batchId,
-          batch_name: batch.name
-        });
-      }
+    // Add student to batch and notify the teacher (false when already a member)
+    const joined = await addStudentToBatch(req.app.get('io'), batch, userId);
+    if (!joined) {
+      return res.status(409).json({
+        success: false,
+        message: 'You are already a member of this batch'
+      });
     }
 
     res.status(201).json({
@@ -370,41 +366,12 @@ const joinBatch = async (req, res) => {
 
 /**
  * Update batch information
- * Teacher-only operation for their own batches
+ * Teacher-only operation for their own batches (enforced by authorizeBatch)
  */
 const updateBatch = async (req, res) => {
   try {
-    const { userId, role } = req.user;
     const { batchId } = req.params;
-    const { name, collegeName, description, iconImage, coverImage } = req.body;
-
-    // Validate teacher role
-    if (role !== 'teacher') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only teachers can update batches'
-      });
-    }
-
-    // Check if batch exists and belongs to this teacher
-    const [batches] = await pool.execute(
-      'SELECT teacher_id FROM batches WHERE batch_id = ?',
-      [batchId]
-    );
-
-    if (batches.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Batch not found'
-      });
-    }
-
-    if (batches[0].teacher_id !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only update your own batches'
-      });
-    }
+    const { name, collegeName, description, iconImage, coverImage, requiresApproval, requireRejectionReason } = req.body;
 
     // Build update query dynamically
     const updateFields = [];
@@ -430,6 +397,14 @@ const updateBatch = async (req, res) => {
       updateFields.push('cover_image = ?');
       updateValues.push(coverImage);
     }
+    if (requiresApproval !== undefined) {
+      updateFields.push('requires_approval = ?');
+      updateValues.push(requiresApproval);
+    }
+    if (requireRejectionReason !== undefined) {
+      updateFields.push('require_rejection_reason = ?');
+      updateValues.push(requireRejectionReason);
+    }
 
     if (updateFields.length === 0) {
       return res.status(400).json({
@@ -461,52 +436,187 @@ const updateBatch = async (req, res) => {
 };
 
 /**
- * Delete a batch
- * Teacher-only operation for their own batches
+ * Delete a batch (soft delete)
+ * The batch disappears everywhere but can be restored for BATCH_PURGE_GRACE_DAYS days,
+ * after which the purge job removes it and everything in it
+ * Owner-only operation (enforced by authorizeBatch)
  */
 const deleteBatch = async (req, res) => {
   try {
-    const { userId, role } = req.user;
+    const { userId } = req.user;
     const { batchId } = req.params;
 
-    // Validate teacher role
-    if (role !== 'teacher') {
-      return res.status(403).json({
+    await pool.execute(
+      'UPDATE batches SET deleted_at = NOW(), deleted_by = ? WHERE batch_id = ? AND deleted_at IS NULL',
+      [userId, batchId]
+    );
+
+    const [batches] = await pool.execute(
+      'SELECT deleted_at, DATE_ADD(deleted_at, INTERVAL ? DAY) as purge_at FROM batches WHERE batch_id = ?',
+      [BATCH_PURGE_GRACE_DAYS, batchId]
+    );
+
+    // Drop open batch pages out of the room; nothing is delivered to a deleted batch
+    const io = req.app.get('io');
+    if (io) {
+      io.in(batchRoom(batchId)).socketsLeave(batchRoom(batchId));
+    }
+
+    console.log(`🗑️ Batch ${batchId} deleted by ${userId}, purge after ${BATCH_PURGE_GRACE_DAYS} days`);
+
+    res.json({
+      success: true,
+      message: `Batch deleted. It can be restored for ${BATCH_PURGE_GRACE_DAYS} days`,
+      data: {
+        batchId: parseInt(batchId),
+        deletedAt: batches[0].deleted_at,
+        purgeAt: batches[0].purge_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Restore a deleted batch before it is purged
+ * Owner-only operation; the guard accepts soft-deleted batches
+ */
+const restoreBatch = async (req, res) => {
+  try {
+    const { batch } = req.batchAccess;
+
+    if (!batch.deleted_at) {
+      return res.status(409).json({
         success: false,
-        message: 'Only teachers can delete batches'
+        message: 'This batch is not deleted'
       });
     }
 
-    // Check if batch exists and belongs to this teacher
-    const [batches] = await pool.execute(
-      'SELECT teacher_id FROM batches WHERE batch_id = ?',
-      [batchId]
+    await pool.execute(
+      'UPDATE batches SET deleted_at = NULL, deleted_by = NULL WHERE batch_id = ?',
+      [batch.batch_id]
     );
 
-    if (batches.length === 0) {
-      return res.status(404).json({
+    console.log(`♻️ Batch ${batch.batch_id} restored`);
+
+    res.json({
+      success: true,
+      message: `${batch.name} restored`
+    });
+
+  } catch (error) {
+    console.error('Restore batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List the teacher's deleted batches that can still be restored
+ * Teacher-only operation; only batches they own
+ */
+const getDeletedBatches = async (req, res) => {
+  try {
+    const { userId } = req.user;
+
+    const [batches] = await pool.execute(`
+      SELECT
+        batch_id,
+        name,
+        college_name,
+        description,
+        icon_image,
+        cover_image,
+        created_at,
+        deleted_at,
+        DATE_ADD(deleted_at, INTERVAL ? DAY) as purge_at
+      FROM batches
+      WHERE teacher_id = ? AND deleted_at IS NOT NULL
+      ORDER BY deleted_at DESC
+    `, [BATCH_PURGE_GRACE_DAYS, userId]);
+
+    res.json({
+      success: true,
+      data: batches
+    });
+
+  } catch (error) {
+    console.error('Get deleted batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Archive a batch: it stays visible to its staff and members but becomes read-only
+ * and is hidden from browse
+ * Owner or co-teacher operation (enforced by authorizeBatch)
+ */
+const archiveBatch = async (req, res) => {
+  try {
+    const { batch } = req.batchAccess;
+
+    if (batch.archived_at) {
+      return res.status(409).json({
         success: false,
-        message: 'Batch not found'
+        message: 'This batch is already archived'
       });
     }
 
-    if (batches[0].teacher_id !== userId) {
-      return res.status(403).json({
+    await pool.execute('UPDATE batches SET archived_at = NOW() WHERE batch_id = ?', [batch.batch_id]);
+
+    console.log(`📦 Batch ${batch.batch_id} archived`);
+
+    res.json({
+      success: true,
+      message: `${batch.name} archived`
+    });
+
+  } catch (error) {
+    console.error('Archive batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Take a batch out of the archive
+ * Owner or co-teacher operation (enforced by authorizeBatch)
+ */
+const unarchiveBatch = async (req, res) => {
+  try {
+    const { batch } = req.batchAccess;
+
+    if (!batch.archived_at) {
+      return res.status(409).json({
         success: false,
-        message: 'You can only delete your own batches'
+        message: 'This batch is not archived'
       });
     }
 
-    // Delete batch (CASCADE will handle batch_members)
-    await pool.execute('DELETE FROM batches WHERE batch_id = ?', [batchId]);
+    await pool.execute('UPDATE batches SET archived_at = NULL WHERE batch_id = ?', [batch.batch_id]);
+
+    console.log(`📦 Batch ${batch.batch_id} unarchived`);
 
     res.json({
       success: true,
-      message: 'Batch deleted successfully'
+      message: `${batch.name} is active again`
     });
 
   } catch (error) {
-    console.error('Delete batch error:', error);
+    console.error('Unarchive batch error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -520,15 +630,7 @@ const deleteBatch = async (req, res) => {
  */
 const getStudentBatches = async (req, res) => {
   try {
-    const { userId, role } = req.user;
-
-    // Validate student role
-    if (role !== 'student') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only students can view their joined batches'
-      });
-    }
+    const { userId } = req.user;
 
     // Use enhanced database connection for better error handling
     const { executeQuery } = require('../utils/enhanced-db-connection');
@@ -542,6 +644,7 @@ const getStudentBatches = async (req, res) => {
         b.description,
         b.icon_image,
         b.cover_image,
+        b.archived_at,
         b.created_at,
         u.name as teacher_name,
         bm.joined_at,
@@ -551,8 +654,8 @@ const getStudentBatches = async (req, res) => {
       JOIN users u ON b.teacher_id = u.user_id
       LEFT JOIN teacher_profiles tp ON u.user_id = tp.user_id
       LEFT JOIN batch_members bm2 ON b.batch_id = bm2.batch_id
-      WHERE bm.student_id = ?
-      GROUP BY b.batch_id, b.name, COALESCE(tp.college_name, b.college_name), b.description, b.icon_image, b.cover_image, b.created_at, u.name, bm.joined_at
+      WHERE bm.student_id = ? AND b.deleted_at IS NULL
+      GROUP BY b.batch_id, b.name, COALESCE(tp.college_name, b.college_name), b.description, b.icon_image, b.cover_image, b.archived_at, b.created_at, u.name, bm.joined_at
       ORDER BY bm.joined_at DESC
     `, [userId]);
 
@@ -589,20 +692,65 @@ const getStudentBatches = async (req, res) => {
   }
 };
 
+// Browse sort options: the column the cursor pages through (ties broken by batch_id)
+const BROWSE_SORT_COLUMNS = {
+  newest: 'created_at',
+  members: 'member_count'
+};
+
 /**
- * Get all available batches for browsing
- * Public endpoint for students and teachers to discover batches
+ * Encode the sort key of the last batch on a page as an opaque cursor
+ * @param {string} sort - Browse sort option
+ * @param {Object} batch - Last batch row on the page
+ * @returns {string} URL-safe cursor
+ */
+const encodeBrowseCursor = (sort, batch) => Buffer.from(JSON.stringify({
+  sort,
+  value: batch[BROWSE_SORT_COLUMNS[sort]],
+  id: batch.batch_id
+})).toString('base64url');
+
+/**
+ * Decode a browse cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sort - Sort option of the current request
+ * @returns {Object|null} { value, id } or null when the cursor is invalid or from another sort
+ */
+const decodeBrowseCursor = (cursor, sort) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded.sort !== sort || !Number.isInteger(decoded.id) || decoded.value === undefined || decoded.value === null) {
+      return null;
+    }
+    return {
+      value: sort === 'newest' ? new Date(decoded.value) : parseInt(decoded.value),
+      id: decoded.id
+    };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Get available batches for browsing, one page at a time
+ * Public endpoint for students and teachers to discover batches; archived and deleted batches are hidden
+ * Query: search (name, college, description), college, teacherId, sort=newest|members, limit, cursor
  */
 const getAllBatches = async (req, res) => {
   try {
     const { userId, role } = req.user;
-
-    // Allow both students and teachers to browse batches
-    if (role !== 'student' && role !== 'teacher') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only students and teachers can browse batches'
-      });
+    const { search, college, teacherId, sort = 'newest', cursor } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+
+    let after = null;
+    if (cursor) {
+      after = decodeBrowseCursor(cursor, sort);
+      if (!after) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
     }
 
     // Check if database is available
@@ -616,65 +764,92 @@ const getAllBatches = async (req, res) => {
       });
     }
 
-    // Get all batches with basic info and teacher details
-    const [batches] = await pool.execute(`
-      SELECT 
-        b.batch_id,
-        b.name,
-        COALESCE(tp.college_name, b.college_name) as college_name,
-        b.description,
-        b.icon_image,
-        b.cover_image,
-        b.created_at,
-        b.teacher_id,
-        u.name as teacher_name,
-        COUNT(DISTINCT bm.student_id) as member_count
-      FROM batches b
-      JOIN users u ON b.teacher_id = u.user_id
-      LEFT JOIN teacher_profiles tp ON u.user_id = tp.user_id
-      LEFT JOIN batch_members bm ON b.batch_id = bm.batch_id
-      GROUP BY b.batch_id, b.name, COALESCE(tp.college_name, b.college_name), b.description, b.icon_image, b.cover_image, b.created_at, b.teacher_id, u.name
-      ORDER BY b.created_at DESC
-    `);
-
-    // Process batches based on user role
-    const processedBatches = await Promise.all(
-      batches.map(async (batch) => {
-        if (role === 'student') {
-          // For students, check if they're already a member
-          const [memberCheck] = await pool.execute(
-            'SELECT 1 FROM batch_members WHERE batch_id = ? AND student_id = ?',
-            [batch.batch_id, userId]
-          );
-          
-          return {
-            ...batch,
-            is_member: memberCheck.length > 0,
-            can_join: memberCheck.length === 0 // Student can join if not already a member
-          };
-        } else if (role === 'teacher') {
-          // For teachers, mark if it's their own batch
-          const isOwnBatch = batch.teacher_id == userId; // Use == for type comparison
-          return {
-            ...batch,
-            is_member: false, // Teachers don't "join" batches
-            can_join: false,  // Teachers don't join batches
-            is_own_batch: isOwnBatch // Mark if it's the teacher's own batch
-          };
-        }
-        
-        // Default return for any other role
+    const filters = ['b.archived_at IS NULL', 'b.deleted_at IS NULL'];
+    const filterParams = [];
+
+    if (search) {
+      filters.push('(b.name LIKE ? OR COALESCE(tp.college_name, b.college_name) LIKE ? OR b.description LIKE ?)');
+      filterParams.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+    if (college) {
+      filters.push('COALESCE(tp.college_name, b.college_name) = ?');
+      filterParams.push(college);
+    }
+    if (teacherId) {
+      filters.push('b.teacher_id = ?');
+      filterParams.push(teacherId);
+    }
+
+    // Keyset pagination on (sort column, batch_id), both descending
+    const sortColumn = BROWSE_SORT_COLUMNS[sort];
+    let cursorFilter = '';
+    const cursorParams = [];
+    if (after) {
+      cursorFilter = `WHERE ${sortColumn} < ? OR (${sortColumn} = ? AND batch_id < ?)`;
+      cursorParams.push(after.value, after.value, after.id);
+    }
+
+    // Membership and pending-request flags for the caller (only meaningful for students)
+    const [rows] = await pool.execute(`
+      SELECT * FROM (
+        SELECT 
+          b.batch_id,
+          b.name,
+          COALESCE(tp.college_name, b.college_name) as college_name,
+          b.description,
+          b.icon_image,
+          b.cover_image,
+          b.requires_approval,
+          b.created_at,
+          b.teacher_id,
+          u.name as teacher_name,
+          (SELECT COUNT(*) FROM batch_members bm WHERE bm.batch_id = b.batch_id) as member_count,
+          EXISTS(SELECT 1 FROM batch_members bm WHERE bm.batch_id = b.batch_id AND bm.student_id = ?) as is_member,
+          EXISTS(
+            SELECT 1 FROM batch_join_requests r
+            WHERE r.batch_id = b.batch_id AND r.student_id = ? AND r.status = 'pending'
+          ) as has_pending_request
+        FROM batches b
+        JOIN users u ON b.teacher_id = u.user_id
+        LEFT JOIN teacher_profiles tp ON u.user_id = tp.user_id
+        WHERE ${filters.join(' AND ')}
+      ) browse
+      ${cursorFilter}
+      ORDER BY ${sortColumn} DESC, batch_id DESC
+      LIMIT ${limit + 1}
+    `, [userId, userId, ...filterParams, ...cursorParams]);
+
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+
+    const batches = page.map(({ is_member: isMember, has_pending_request: hasPendingRequest, ...batch }) => {
+      if (role === 'student') {
         return {
           ...batch,
-          is_member: false,
-          can_join: false
+          is_member: Boolean(isMember),
+          has_pending_request: Boolean(hasPendingRequest),
+          can_join: !isMember && !hasPendingRequest
         };
-      })
-    );
+      }
+
+      // Teachers don't join batches; mark their own
+      return {
+        ...batch,
+        is_member: false,
+        has_pending_request: false,
+        can_join: false,
+        is_own_batch: batch.teacher_id == userId // Use == for type comparison
+      };
+    });
 
     res.json({
       success: true,
-      data: processedBatches
+      data: batches,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeBrowseCursor(sort, page[page.length - 1]) : null
+      }
     });
 
   } catch (error) {
@@ -688,11 +863,16 @@ const getAllBatches = async (req, res) => {
 
 module.exports = {
   createBatch,
+  cloneBatch,
   getTeacherBatches,
   getBatchDetails,
   joinBatch,
   updateBatch,
   deleteBatch,
+  restoreBatch,
+  getDeletedBatches,
+  archiveBatch,
+  unarchiveBatch,
   getStudentBatches,
   getAllBatches
 };
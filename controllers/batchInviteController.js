@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const { executeQuery } = require('../utils/database');
+const {
+  isBlockedFromBatch,
+  addStudentToBatch,
+  requestToJoinBatch,
+  sendJoinRequestResponse
+} = require('../utils/batchMembershipService');
+
+/**
+ * Batch Invite Controller
+ * Teachers create shareable invite links and short join codes for their batches;
+ * students join with either one and never need the batch password.
+ * Both are stored in batch_invites and redeemed through POST /api/batches/join-by-code.
+ * Batches that require approval turn a redeemed invite into a pending join request.
+ */
+
+// Join codes avoid look-alike characters (0/O, 1/I/L) so they can be read out in class
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 8;
+const MAX_CODE_ATTEMPTS = 5;
+
+/**
+ * Generate a short human-friendly join code
+ * @returns {string} Upper-case join code
+ */
+const generateJoinCode = () => {
+  let code = '';
+  for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+    code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+/**
+ * Generate an unguessable token for an invite link
+ * @returns {string} URL-safe token
+ */
+const generateLinkToken = () => crypto.randomBytes(24).toString('base64url');
+
+/**
+ * Join codes are typed by hand, so accept them in any case; link tokens are case-sensitive
+ * @param {string} code - Code or token from the client
+ * @returns {string} Value to look up
+ */
+const normalizeCode = (code) => {
+  const trimmed = code.trim();
+  return trimmed.length === JOIN_CODE_LENGTH ? trimmed.toUpperCase() : trimmed;
+};
+
+/**
+ * Give back a claimed invite use when the join did not go through
+ * @param {number} inviteId - Invite ID
+ */
+const releaseInviteUse = async (inviteId) => {
+  await executeQuery(
+    'UPDATE batch_invites SET use_count = GREATEST(use_count - 1, 0) WHERE invite_id = ?',
+    [inviteId]
+  );
+};
+
+/**
+ * Shape an invite row for API responses
+ * @param {Object} invite - batch_invites row
+ * @returns {Object} Client-facing invite
+ */
+const formatInvite = (invite) => {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  return {
+    inviteId: invite.invite_id,
+    batchId: invite.batch_id,
+    type: invite.type,
+    code: invite.code,
+    url: invite.type === 'link' ? `${baseUrl}/join/${invite.code}` : null,
+    maxUses: invite.max_uses,
+    useCount: invite.use_count,
+    expiresAt: invite.expires_at,
+    revokedAt: invite.revoked_at,
+    createdAt: invite.created_at
+  };
+};
+
+/**
+ * Create an invite link or join code for a batch
+ * Teacher-only operation for their own batches (enforced by authorizeBatch)
+ */
+const createInvite = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { batchId } = req.params;
+    const { type = 'code', expiresInHours = null, maxUses = null } = req.body;
+
+    // Retry on the rare collision with an existing code
+    let inviteId = null;
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS && !inviteId; attempt++) {
+      const code = type === 'link' ? generateLinkToken() : generateJoinCode();
+
+      try {
+        const result = await executeQuery(
+          `INSERT INTO batch_invites (batch_id, created_by, type, code, max_uses, expires_at)
+           VALUES (?, ?, ?, ?, ?, IF(? IS NULL, NULL, DATE_ADD(NOW(), INTERVAL ? HOUR)))`,
+          [batchId, userId, type, code, maxUses, expiresInHours, expiresInHours]
+        );
+        inviteId = result.insertId;
+      } catch (error) {
+        if (error.code !== 'ER_DUP_ENTRY') {
+          throw error;
+        }
+      }
+    }
+
+    if (!inviteId) {
+      return res.status(500).json({
+        success: false,
+        message: 'Could not generate a unique join code, please try again'
+      });
+    }
+
+    const invites = await executeQuery('SELECT * FROM batch_invites WHERE invite_id = ?', [inviteId]);
+
+    console.log(`🔗 ${type === 'link' ? 'Invite link' : 'Join code'} created for batch ${batchId}`);
+
+    res.status(201).json({
+      success: true,
+      message: type === 'link' ? 'Invite link created successfully' : 'Join code created successfully',
+      data: formatInvite(invites[0])
+    });
+
+  } catch (error) {
+    console.error('Create batch invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List a batch's invites, newest first
+ * Teacher-only operation for their own batches (enforced by authorizeBatch)
+ */
+const getBatchInvites = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const includeInactive = req.query.include_inactive === 'true';
+
+    let query = 'SELECT * FROM batch_invites WHERE batch_id = ?';
+    if (!includeInactive) {
+      query += ` AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > NOW())
+        AND (max_uses IS NULL OR use_count < max_uses)`;
+    }
+    query += ' ORDER BY created_at DESC, invite_id DESC';
+
+    const invites = await executeQuery(query, [batchId]);
+
+    res.json({
+      success: true,
+      data: invites.map(formatInvite)
+    });
+
+  } catch (error) {
+    console.error('Get batch invites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Revoke an invite so it can no longer be used
+ * Teacher-only operation for their own batches (enforced by authorizeBatch)
+ */
+const revokeInvite = async (req, res) => {
+  try {
+    const { batchId, inviteId } = req.params;
+
+    const result = await executeQuery(
+      'UPDATE batch_invites SET revoked_at = NOW() WHERE invite_id = ? AND batch_id = ? AND revoked_at IS NULL',
+      [inviteId, batchId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found or already revoked'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invite revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke batch invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Join a batch with an invite link token or join code
+ * Student-only operation; the batch password is never required
+ */
+const joinByCode = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const code = normalizeCode(req.body.code);
+
+    const invites = await executeQuery(`
+      SELECT
+        i.invite_id,
+        i.max_uses,
+        i.use_count,
+        i.revoked_at,
+        i.expires_at IS NOT NULL AND i.expires_at <= NOW() as expired,
+        b.batch_id,
+        b.name,
+        b.teacher_id,
+        b.requires_approval,
+        b.archived_at
+      FROM batch_invites i
+      JOIN batches b ON i.batch_id = b.batch_id
+      WHERE i.code = ? AND b.deleted_at IS NULL
+    `, [code]);
+
+    if (invites.length === 0 || invites[0].revoked_at) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid or revoked invite code'
+      });
+    }
+
+    const invite = invites[0];
+
+    if (invite.expired) {
+      return res.status(410).json({
+        success: false,
+        message: 'This invite has expired'
+      });
+    }
+
+    if (invite.archived_at) {
+      return res.status(409).json({
+        success: false,
+        message: 'This batch is archived and no longer accepts new members',
+        error: 'BATCH_ARCHIVED'
+      });
+    }
+
+    if (await isBlockedFromBatch(invite.batch_id, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to join this batch'
+      });
+    }
+
+    const members = await executeQuery(
+      'SELECT 1 FROM batch_members WHERE batch_id = ? AND student_id = ?',
+      [invite.batch_id, userId]
+    );
+
+    if (members.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'You are already a member of this batch'
+      });
+    }
+
+    // Claim a use atomically so concurrent joins cannot exceed max_uses
+    const claimed = await executeQuery(`
+      UPDATE batch_invites
+      SET use_count = use_count + 1
+      WHERE invite_id = ?
+        AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > NOW())
+        AND (max_uses IS NULL OR use_count < max_uses)
+    `, [invite.invite_id]);
+
+    if (claimed.affectedRows === 0) {
+      return res.status(410).json({
+        success: false,
+        message: 'This invite has reached its usage limit'
+      });
+    }
+
+    const io = req.app.get('io');
+
+    if (invite.requires_approval) {
+      const outcome = await requestToJoinBatch(io, invite, userId);
+      if (outcome !== 'requested') {
+        await releaseInviteUse(invite.invite_id);
+      }
+      return sendJoinRequestResponse(res, invite, outcome);
+    }
+
+    const joined = await addStudentToBatch(io, invite, userId);
+
+    if (!joined) {
+      // Lost a race with another join for the same student: give the use back
+      await releaseInviteUse(invite.invite_id);
+      return res.status(409).json({
+        success: false,
+        message: 'You are already a member of this batch'
+      });
+    }
+
+    console.log(`✅ Student ${userId} joined batch ${invite.batch_id} with invite ${invite.invite_id}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Successfully joined ${invite.name}`,
+      data: {
+        batchId: invite.batch_id,
+        batchName: invite.name
+      }
+    });
+
+  } catch (error) {
+    console.error('Join batch by code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  createInvite,
+  getBatchInvites,
+  revokeInvite,
+  joinByCode
+};
@@ -0,0 +1,162 @@
+const { executeQuery } = require('../utils/database');
+const { addStudentToBatch } = require('../utils/batchMembershipService');
+const { notifyUsers } = require('../utils/notificationService');
+
+/**
+ * Batch Join Request Controller
+ * Teachers review join requests for batches with requires_approval turned on.
+ * Requests are created by the join endpoints (utils/batchMembershipService.js);
+ * approving one adds the student to batch_members, and the student is notified either way.
+ */
+
+/**
+ * List join requests for a batch, oldest first
+ * Teacher-only operation for their own batches (enforced by authorizeBatch)
+ */
+const getJoinRequests = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const { status = 'pending' } = req.query;
+
+    let query = `
+      SELECT
+        r.request_id,
+        r.status,
+        r.created_at,
+        r.decided_at,
+        u.user_id as student_id,
+        u.name as student_name,
+        u.email as student_email,
+        sp.roll_number,
+        sp.profile_picture_url
+      FROM batch_join_requests r
+      JOIN users u ON r.student_id = u.user_id
+      LEFT JOIN student_profiles sp ON u.user_id = sp.user_id
+      WHERE r.batch_id = ?
+    `;
+    const queryParams = [batchId];
+
+    if (status !== 'all') {
+      query += ' AND r.status = ?';
+      queryParams.push(status);
+    }
+
+    query += ' ORDER BY r.created_at ASC, r.request_id ASC';
+
+    const requests = await executeQuery(query, queryParams);
+
+    res.json({
+      success: true,
+      data: requests
+    });
+
+  } catch (error) {
+    console.error('Get join requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Approve or deny a pending join request and notify the student
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} decision - 'approved' or 'denied'
+ */
+const decideJoinRequest = async (req, res, decision) => {
+  const { userId } = req.user;
+  const { requestId } = req.params;
+  const { batch } = req.batchAccess;
+
+  const requests = await executeQuery(
+    "SELECT student_id FROM batch_join_requests WHERE request_id = ? AND batch_id = ? AND status = 'pending'",
+    [requestId, batch.batch_id]
+  );
+
+  // The status check in the UPDATE makes only the first decision win if two tabs act at once
+  const result = requests.length > 0 && await executeQuery(
+    "UPDATE batch_join_requests SET status = ?, decided_by = ?, decided_at = NOW() WHERE request_id = ? AND status = 'pending'",
+    [decision, userId, requestId]
+  );
+
+  if (!result || result.affectedRows === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Join request not found or already decided'
+    });
+  }
+
+  const studentId = requests[0].student_id;
+  const io = req.app.get('io');
+
+  if (decision === 'approved') {
+    await addStudentToBatch(io, batch, studentId, { notifyTeacher: false });
+  }
+
+  try {
+    await notifyUsers(io, [studentId], {
+      type: decision === 'approved' ? 'join_request_approved' : 'join_request_denied',
+      title: decision === 'approved' ? `Welcome to ${batch.name}` : `Join request for ${batch.name} declined`,
+      message: decision === 'approved'
+        ? `Your request to join "${batch.name}" was approved`
+        : `Your request to join "${batch.name}" was declined by the teacher`,
+      actorId: userId,
+      batchId: batch.batch_id
+    });
+  } catch (notificationError) {
+    console.error('Error creating join request decision notification:', notificationError);
+    // Don't fail the decision if the notification fails
+  }
+
+  console.log(`📋 Join request ${requestId} for batch ${batch.batch_id} ${decision}`);
+
+  res.json({
+    success: true,
+    message: decision === 'approved' ? 'Join request approved' : 'Join request denied',
+    data: {
+      requestId: parseInt(requestId),
+      studentId,
+      status: decision
+    }
+  });
+};
+
+/**
+ * Approve a pending join request
+ * Teacher-only operation for their own batches (enforced by authorizeBatch)
+ */
+const approveJoinRequest = async (req, res) => {
+  try {
+    await decideJoinRequest(req, res, 'approved');
+  } catch (error) {
+    console.error('Approve join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Deny a pending join request
+ * Teacher-only operation for their own batches (enforced by authorizeBatch)
+ */
+const denyJoinRequest = async (req, res) => {
+  try {
+    await decideJoinRequest(req, res, 'denied');
+  } catch (error) {
+    console.error('Deny join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getJoinRequests,
+  approveJoinRequest,
+  denyJoinRequest
+};
@@ -0,0 +1,532 @@
+const validator = require('validator');
+const { executeQuery } = require('../utils/database');
+const { parseCsv } = require('../utils/csv');
+const {
+  addStudentToBatch,
+  removeStudentFromBatch,
+  notifyStudentEnrolled
+} = require('../utils/batchMembershipService');
+
+/**
+ * Batch Roster Controller
+ * Teachers list, remove and block the students of their batches; students can leave a batch.
+ * Membership changes go through utils/batchMembershipService.js, which emits the
+ * batchMemberRemoved socket event and sends the batch_removed notification.
+ * Roster imports enroll existing students directly and leave invitations for unknown
+ * emails in batch_roster_invitations, which are attached when that student signs up.
+ */
+
+// Sortable roster columns (whitelisted because ORDER BY cannot be parameterized)
+const ROSTER_SORT_COLUMNS = {
+  name: 'u.name',
+  roll_number: 'sp.roll_number',
+  joined_at: 'bm.joined_at',
+  submissions: 'submission_count'
+};
+
+const ROSTER_IMPORT_MAX_ROWS = 500;
+
+// Accepted header names per column; files without a header are read as email, name, roll number
+const ROSTER_IMPORT_HEADERS = {
+  email: ['email', 'email address', 'e-mail'],
+  name: ['name', 'full name', 'student name'],
+  rollNumber: ['roll number', 'roll_number', 'roll no', 'rollno', 'roll']
+};
+
+/**
+ * Work out which column holds which field from a roster header row
+ * @param {string[]} fields - First CSV row
+ * @returns {Object|null} { email, name, rollNumber } column indexes, or null if the row is not a header
+ */
+const resolveRosterColumns = (fields) => {
+  const headers = fields.map(field => field.toLowerCase());
+  const columnOf = (key) => headers.findIndex(header => ROSTER_IMPORT_HEADERS[key].includes(header));
+
+  const email = columnOf('email');
+  if (email === -1) {
+    return null;
+  }
+
+  return { email, name: columnOf('name'), rollNumber: columnOf('rollNumber') };
+};
+
+/**
+ * Get a batch's roster with roll numbers and submission counts
+ * Teacher-only operation for their own batches (enforced by authorizeBatch)
+ */
+const getBatchMembers = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const { search, sort = 'name', order = 'asc' } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'bm.batch_id = ?';
+    const queryParams = [batchId];
+
+    if (search) {
+      whereClause += ' AND (u.name LIKE ? OR u.email LIKE ? OR sp.roll_number LIKE ?)';
+      const pattern = `%${search}%`;
+      queryParams.push(pattern, pattern, pattern);
+    }
+
+    const direction = order === 'desc' ? 'DESC' : 'ASC';
+
+    const members = await executeQuery(`
+      SELECT
+        u.user_id as student_id,
+        u.name,
+        u.email,
+        sp.roll_number,
+        sp.profile_picture_url,
+        bm.joined_at,
+        COUNT(s.submission_id) as submission_count,
+        COALESCE(SUM(s.status = 'pending'), 0) as pending_count,
+        COALESCE(SUM(s.status = 'accepted'), 0) as accepted_count,
+        COALESCE(SUM(s.status = 'rejected'), 0) as rejected_count,
+        MAX(s.created_at) as last_submission_at
+      FROM batch_members bm
+      JOIN users u ON bm.student_id = u.user_id
+      LEFT JOIN student_profiles sp ON u.user_id = sp.user_id
+      LEFT JOIN submissions s ON s.batch_id = bm.batch_id AND s.student_id = bm.student_id
+      WHERE ${whereClause}
+      GROUP BY u.user_id, u.name, u.email, sp.roll_number, sp.profile_picture_url, bm.joined_at
+      ORDER BY ${ROSTER_SORT_COLUMNS[sort]} ${direction}, u.user_id ASC
+      LIMIT ${limit} OFFSET ${offset}
+    `, queryParams);
+
+    const countResult = await executeQuery(`
+      SELECT COUNT(*) as total
+      FROM batch_members bm
+      JOIN users u ON bm.student_id = u.user_id
+      LEFT JOIN student_profiles sp ON u.user_id = sp.user_id
+      WHERE ${whereClause}
+    `, queryParams);
+    const total = countResult[0].total;
+
+    res.json({
+      success: true,
+      data: members,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get batch members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Remove a student from a batch (they may rejoin unless blocked)
+ * Teacher-only operation for their own batches (enforced by authorizeBatch)
+ */
+const removeBatchMember = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { batch } = req.batchAccess;
+
+    const removed = await removeStudentFromBatch(req.app.get('io'), batch, studentId, {
+      reason: 'removed',
+      actorId: req.user.userId
+    });
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student is not a member of this batch'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Student removed from batch'
+    });
+
+  } catch (error) {
+    console.error('Remove batch member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Block a student from a batch
+ * Removes them if they are a member and denies any pending join request
+ * Teacher-only operation for their own batches (enforced by authorizeBatch)
+ */
+const blockStudent = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { studentId, reason = null } = req.body;
+    const { batch } = req.batchAccess;
+
+    const students = await executeQuery(
+      "SELECT user_id FROM users WHERE user_id = ? AND role = 'student'",
+      [studentId]
+    );
+
+    if (students.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    await executeQuery(
+      'INSERT INTO batch_blocks (batch_id, student_id, blocked_by, reason) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE blocked_by = VALUES(blocked_by), reason = VALUES(reason)',
+      [batch.batch_id, studentId, userId, reason]
+    );
+
+    await executeQuery(
+      "UPDATE batch_join_requests SET status = 'denied', decided_by = ?, decided_at = NOW() WHERE batch_id = ? AND student_id = ? AND status = 'pending'",
+      [userId, batch.batch_id, studentId]
+    );
+
+    const removed = await removeStudentFromBatch(req.app.get('io'), batch, studentId, {
+      reason: 'blocked',
+      actorId: userId
+    });
+
+    console.log(`⛔ Student ${studentId} blocked from batch ${batch.batch_id}`);
+
+    res.json({
+      success: true,
+      message: removed ? 'Student removed and blocked from batch' : 'Student blocked from batch',
+      data: {
+        studentId,
+        removed
+      }
+    });
+
+  } catch (error) {
+    console.error('Block student error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Lift a block so the student can join again
+ * Teacher-only operation for their own batches (enforced by authorizeBatch)
+ */
+const unblockStudent = async (req, res) => {
+  try {
+    const { batchId, studentId } = req.params;
+
+    const result = await executeQuery(
+      'DELETE FROM batch_blocks WHERE batch_id = ? AND student_id = ?',
+      [batchId, studentId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student is not blocked from this batch'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Student unblocked'
+    });
+
+  } catch (error) {
+    console.error('Unblock student error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List students blocked from a batch
+ * Teacher-only operation for their own batches (enforced by authorizeBatch)
+ */
+const getBlockedStudents = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    const blocks = await executeQuery(`
+      SELECT
+        u.user_id as student_id,
+        u.name,
+        u.email,
+        sp.roll_number,
+        bb.reason,
+        bb.created_at as blocked_at
+      FROM batch_blocks bb
+      JOIN users u ON bb.student_id = u.user_id
+      LEFT JOIN student_profiles sp ON u.user_id = sp.user_id
+      WHERE bb.batch_id = ?
+      ORDER BY bb.created_at DESC
+    `, [batchId]);
+
+    res.json({
+      success: true,
+      data: blocks
+    });
+
+  } catch (error) {
+    console.error('Get blocked students error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Leave a batch
+ * Student-only operation for batches they belong to (enforced by authorizeBatch)
+ */
+const leaveBatch = async (req, res) => {
+  try {
+    const { batch } = req.batchAccess;
+
+    await removeStudentFromBatch(req.app.get('io'), batch, req.user.userId, { reason: 'left' });
+
+    res.json({
+      success: true,
+      message: `You have left ${batch.name}`
+    });
+
+  } catch (error) {
+    console.error('Leave batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Import a roster from CSV (email, name, roll number)
+ * Existing students are enrolled immediately; unknown emails get a pending invitation.
+ * Every row is reported individually so one bad row never fails the whole file.
+ * Teacher-only operation for their own batches (enforced by authorizeBatch)
+ */
+const importRoster = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { batch } = req.batchAccess;
+    const io = req.app.get('io');
+
+    const rows = parseCsv(req.body.csv);
+    const columns = rows.length > 0 ? resolveRosterColumns(rows[0].fields) : null;
+    const dataRows = columns ? rows.slice(1) : rows;
+    const { email: emailColumn, name: nameColumn, rollNumber: rollColumn } = columns || { email: 0, name: 1, rollNumber: 2 };
+
+    if (dataRows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The CSV file has no roster rows'
+      });
+    }
+
+    if (dataRows.length > ROSTER_IMPORT_MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `A roster import can contain at most ${ROSTER_IMPORT_MAX_ROWS} rows`
+      });
+    }
+
+    const entries = dataRows.map(({ line, fields }) => ({
+      line,
+      email: (fields[emailColumn] || '').toLowerCase(),
+      name: (nameColumn >= 0 && fields[nameColumn]) || null,
+      rollNumber: (rollColumn >= 0 && fields[rollColumn]) || null
+    }));
+
+    // Load everything the rows are checked against in one round trip per table
+    const emails = [...new Set(entries.map(entry => entry.email).filter(email => validator.isEmail(email)))];
+    const placeholders = emails.map(() => '?').join(', ');
+    const [users, members, blocks, invitations] = emails.length === 0 ? [[], [], [], []] : await Promise.all([
+      executeQuery(`SELECT user_id, email, role, email_verified FROM users WHERE email IN (${placeholders})`, emails),
+      executeQuery('SELECT student_id FROM batch_members WHERE batch_id = ?', [batch.batch_id]),
+      executeQuery('SELECT student_id FROM batch_blocks WHERE batch_id = ?', [batch.batch_id]),
+      executeQuery(
+        `SELECT email FROM batch_roster_invitations WHERE batch_id = ? AND accepted_at IS NULL AND email IN (${placeholders})`,
+        [batch.batch_id, ...emails]
+      )
+    ]);
+
+    const usersByEmail = new Map(users.map(user => [user.email.toLowerCase(), user]));
+    const memberIds = new Set(members.map(member => member.student_id));
+    const blockedIds = new Set(blocks.map(block => block.student_id));
+    const invitedEmails = new Set(invitations.map(invitation => invitation.email.toLowerCase()));
+    const seenEmails = new Set();
+
+    const report = [];
+    const addResult = (entry, status, message) => {
+      report.push({ line: entry.line, email: entry.email, status, message });
+    };
+
+    for (const entry of entries) {
+      if (!validator.isEmail(entry.email)) {
+        addResult(entry, 'error', 'Invalid email address');
+        continue;
+      }
+      if (seenEmails.has(entry.email)) {
+        addResult(entry, 'error', 'Duplicate email in this file');
+        continue;
+      }
+      seenEmails.add(entry.email);
+
+      if ((entry.name && entry.name.length > 255) || (entry.rollNumber && entry.rollNumber.length > 50)) {
+        addResult(entry, 'error', 'Name must be at most 255 and roll number at most 50 characters');
+        continue;
+      }
+
+      const user = usersByEmail.get(entry.email);
+
+      const invite = async (message) => {
+        await executeQuery(
+          'INSERT INTO batch_roster_invitations (batch_id, email, name, roll_number, invited_by) VALUES (?, ?, ?, ?, ?) ON DUPLICATE KEY UPDATE name = VALUES(name), roll_number = VALUES(roll_number), invited_by = VALUES(invited_by)',
+          [batch.batch_id, entry.email, entry.name, entry.rollNumber, userId]
+        );
+        addResult(entry, invitedEmails.has(entry.email) ? 'already_invited' : 'invited', message);
+      };
+
+      try {
+        if (!user) {
+          await invite('No account yet; the student will be enrolled when they sign up');
+        } else if (user.role !== 'student') {
+          addResult(entry, 'error', `This email belongs to a ${user.role} account`);
+        } else if (blockedIds.has(user.user_id)) {
+          addResult(entry, 'error', 'Student is blocked from this batch');
+        } else if (memberIds.has(user.user_id)) {
+          addResult(entry, 'already_member', 'Student is already enrolled');
+        } else if (!user.email_verified) {
+          // Anyone can register an unverified address, so the roster only binds to verified ones
+          await invite('Account email not verified yet; the student will be enrolled when they sign in with it verified');
+        } else {
+          await addStudentToBatch(io, batch, user.user_id, { notifyTeacher: false });
+          await notifyStudentEnrolled(io, batch, user.user_id);
+          if (entry.rollNumber) {
+            await executeQuery(
+              "UPDATE student_profiles SET roll_number = ? WHERE user_id = ? AND (roll_number IS NULL OR roll_number = '')",
+              [entry.rollNumber, user.user_id]
+            );
+          }
+          memberIds.add(user.user_id);
+          addResult(entry, 'enrolled', 'Student enrolled');
+        }
+      } catch (error) {
+        console.error(`Roster import error on line ${entry.line}:`, error);
+        addResult(entry, 'error', 'Could not process this row');
+      }
+    }
+
+    const summary = report.reduce((counts, { status }) => {
+      counts[status] = (counts[status] || 0) + 1;
+      return counts;
+    }, { total: report.length, enrolled: 0, invited: 0, already_member: 0, already_invited: 0, error: 0 });
+
+    console.log(`📥 Roster import for batch ${batch.batch_id}: ${summary.enrolled} enrolled, ${summary.invited} invited, ${summary.error} errors`);
+
+    res.json({
+      success: true,
+      message: `Processed ${summary.total} rows: ${summary.enrolled} enrolled, ${summary.invited} invited, ${summary.error} errors`,
+      data: {
+        summary,
+        rows: report
+      }
+    });
+
+  } catch (error) {
+    console.error('Import roster error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List roster invitations still waiting for the student to sign up
+ * Teacher-only operation for their own batches (enforced by authorizeBatch)
+ */
+const getRosterInvitations = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    const invitations = await executeQuery(`
+      SELECT invitation_id, email, name, roll_number, created_at
+      FROM batch_roster_invitations
+      WHERE batch_id = ? AND accepted_at IS NULL
+      ORDER BY created_at DESC, invitation_id DESC
+    `, [batchId]);
+
+    res.json({
+      success: true,
+      data: invitations
+    });
+
+  } catch (error) {
+    console.error('Get roster invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Cancel a pending roster invitation
+ * Teacher-only operation for their own batches (enforced by authorizeBatch)
+ */
+const cancelRosterInvitation = async (req, res) => {
+  try {
+    const { batchId, invitationId } = req.params;
+
+    const result = await executeQuery(
+      'DELETE FROM batch_roster_invitations WHERE invitation_id = ? AND batch_id = ? AND accepted_at IS NULL',
+      [invitationId, batchId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or already accepted'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel roster invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getBatchMembers,
+  removeBatchMember,
+  blockStudent,
+  unblockStudent,
+  getBlockedStudents,
+  leaveBatch,
+  importRoster,
+  getRosterInvitations,
+  cancelRosterInvitation
+};
@@ -0,0 +1,326 @@
+const { executeQuery, executeTransaction } = require('../utils/database');
+const { userRoom, batchRoom } = require('../utils/realtime');
+
+/**
+ * Batch Staff Controller
+ * The batch owner adds co-teachers and TAs (teacher accounts), changes their role,
+ * removes them and can hand ownership to another teacher.
+ * What each role may do is enforced in routes via authorizeBatch (middleware/authorize.js).
+ */
+
+/**
+ * Take a former staff member's open sockets out of the batch room
+ * so they stop receiving its events without having to reconnect
+ * @param {Object} req - Express request object
+ * @param {number} batchId - Batch ID
+ * @param {number} userId - User who left the staff
+ */
+const leaveBatchRoom = (req, batchId, userId) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.in(userRoom(userId)).socketsLeave(batchRoom(batchId));
+  }
+};
+
+/**
+ * Find an active teacher account by email
+ * @param {string} email - Email address
+ * @returns {Promise<Object|null>} { user_id, name, email } or null
+ */
+const findTeacherByEmail = async (email) => {
+  const users = await executeQuery(
+    "SELECT user_id, name, email FROM users WHERE email = ? AND role = 'teacher' AND disabled_at IS NULL",
+    [email]
+  );
+  return users[0] || null;
+};
+
+/**
+ * List a batch's owner and staff
+ * Accessible by any batch staff member (enforced by authorizeBatch)
+ */
+const getBatchStaff = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    const staff = await executeQuery(`
+      SELECT * FROM (
+        SELECT u.user_id, u.name, u.email, 'owner' as role, b.created_at as added_at
+        FROM batches b
+        JOIN users u ON b.teacher_id = u.user_id
+        WHERE b.batch_id = ?
+        UNION ALL
+        SELECT u.user_id, u.name, u.email, st.role, st.created_at as added_at
+        FROM batch_staff st
+        JOIN users u ON st.user_id = u.user_id
+        WHERE st.batch_id = ?
+      ) staff
+      ORDER BY FIELD(role, 'owner', 'co_teacher', 'ta'), name
+    `, [batchId, batchId]);
+
+    res.json({
+      success: true,
+      data: staff
+    });
+
+  } catch (error) {
+    console.error('Get batch staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Add a co-teacher or TA by email
+ * Owner-only operation (enforced by authorizeBatch)
+ */
+const addStaffMember = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { email, role } = req.body;
+    const { batch } = req.batchAccess;
+
+    const teacher = await findTeacherByEmail(email);
+
+    if (!teacher) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active teacher account found with this email'
+      });
+    }
+
+    if (teacher.user_id === batch.teacher_id) {
+      return res.status(409).json({
+        success: false,
+        message: 'The batch owner is already on the staff'
+      });
+    }
+
+    try {
+      await executeQuery(
+        'INSERT INTO batch_staff (batch_id, user_id, role, added_by) VALUES (?, ?, ?, ?)',
+        [batch.batch_id, teacher.user_id, role, userId]
+      );
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({
+          success: false,
+          message: 'This teacher is already on the batch staff'
+        });
+      }
+      throw error;
+    }
+
+    console.log(`👥 Teacher ${teacher.user_id} added to batch ${batch.batch_id} as ${role}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${teacher.name} added as ${role === 'ta' ? 'TA' : 'co-teacher'}`,
+      data: {
+        userId: teacher.user_id,
+        name: teacher.name,
+        email: teacher.email,
+        role
+      }
+    });
+
+  } catch (error) {
+    console.error('Add staff member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Change a staff member's role
+ * Owner-only operation (enforced by authorizeBatch)
+ */
+const updateStaffRole = async (req, res) => {
+  try {
+    const { batchId, userId } = req.params;
+    const { role } = req.body;
+
+    const staff = await executeQuery(
+      'SELECT 1 FROM batch_staff WHERE batch_id = ? AND user_id = ?',
+      [batchId, userId]
+    );
+
+    if (staff.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    await executeQuery(
+      'UPDATE batch_staff SET role = ? WHERE batch_id = ? AND user_id = ?',
+      [role, batchId, userId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Staff role updated',
+      data: {
+        userId: parseInt(userId),
+        role
+      }
+    });
+
+  } catch (error) {
+    console.error('Update staff role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Remove a co-teacher or TA
+ * Owner-only operation (enforced by authorizeBatch)
+ */
+const removeStaffMember = async (req, res) => {
+  try {
+    const { batchId, userId } = req.params;
+
+    const result = await executeQuery(
+      'DELETE FROM batch_staff WHERE batch_id = ? AND user_id = ?',
+      [batchId, userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    leaveBatchRoom(req, batchId, userId);
+
+    res.json({
+      success: true,
+      message: 'Staff member removed'
+    });
+
+  } catch (error) {
+    console.error('Remove staff member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Step down from a batch's staff
+ * Co-teacher/TA operation (enforced by authorizeBatch)
+ */
+const leaveStaff = async (req, res) => {
+  try {
+    const { batch } = req.batchAccess;
+
+    await executeQuery(
+      'DELETE FROM batch_staff WHERE batch_id = ? AND user_id = ?',
+      [batch.batch_id, req.user.userId]
+    );
+
+    leaveBatchRoom(req, batch.batch_id, req.user.userId);
+
+    res.json({
+      success: true,
+      message: `You are no longer on the staff of ${batch.name}`
+    });
+
+  } catch (error) {
+    console.error('Leave staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Transfer batch ownership to another teacher
+ * The previous owner stays on as co-teacher unless keepAsCoTeacher is false
+ * Owner-only operation (enforced by authorizeBatch)
+ */
+const transferOwnership = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { email, keepAsCoTeacher = true } = req.body;
+    const { batch } = req.batchAccess;
+
+    const teacher = await findTeacherByEmail(email);
+
+    if (!teacher) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active teacher account found with this email'
+      });
+    }
+
+    if (teacher.user_id === batch.teacher_id) {
+      return res.status(409).json({
+        success: false,
+        message: 'This teacher already owns the batch'
+      });
+    }
+
+    const queries = [
+      {
+        query: 'DELETE FROM batch_staff WHERE batch_id = ? AND user_id = ?',
+        params: [batch.batch_id, teacher.user_id]
+      },
+      {
+        query: 'UPDATE batches SET teacher_id = ? WHERE batch_id = ?',
+        params: [teacher.user_id, batch.batch_id]
+      }
+    ];
+
+    if (keepAsCoTeacher) {
+      queries.push({
+        query: "INSERT INTO batch_staff (batch_id, user_id, role, added_by) VALUES (?, ?, 'co_teacher', ?)",
+        params: [batch.batch_id, userId, teacher.user_id]
+      });
+    }
+
+    await executeTransaction(queries);
+
+    if (!keepAsCoTeacher) {
+      leaveBatchRoom(req, batch.batch_id, userId);
+    }
+
+    console.log(`👑 Batch ${batch.batch_id} ownership transferred from ${userId} to ${teacher.user_id}`);
+
+    res.json({
+      success: true,
+      message: `${teacher.name} now owns ${batch.name}`,
+      data: {
+        batchId: batch.batch_id,
+        ownerId: teacher.user_id,
+        previousOwnerRole: keepAsCoTeacher ? 'co_teacher' : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Transfer batch ownership error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getBatchStaff,
+  addStaffMember,
+  updateStaffRole,
+  removeStaffMember,
+  leaveStaff,
+  transferOwnership
+};
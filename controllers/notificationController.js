@@ -1,13 +1,22 @@
 const { pool, executeQuery, isDatabaseAvailable } = require('../utils/database');
 const { getTeacherNotifications: getTeacherNotificationsData } = require('../utils/db-utils');
 const { sendEmailNotification } = require('../utils/emailService');
+const { formatNotification, getUnreadCount } = require('../utils/notificationService');
 
 /**
  * Notification Controller
- * Handles all notification-related operations for teachers
+ * Handles notification inboxes for teachers and students
  * Includes real-time notifications and email notifications
  */
 
+/**
+ * Resolve the user whose notifications a request acts on
+ * /me routes infer it from the token; /:teacherId routes are guarded by requireSelf
+ * @param {Object} req - Express request object
+ * @returns {number|string} User ID
+ */
+const getRequestUserId = (req) => req.params.teacherId || req.user.userId;
+
 /**
  * Get all notifications for a teacher
  * @param {Object} req - Express request object
@@ -15,17 +24,9 @@ const { sendEmailNotification } = require('../utils/emailService');
  */
 const getTeacherNotifications = async (req, res) => {
   try {
-    const { teacherId } = req.params;
+    const teacherId = getRequestUserId(req);
     const { page = 1, limit = 50, type, unread_only } = req.query;
 
-    // Validate teacher ID
-    if (!teacherId || isNaN(parseInt(teacherId))) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid teacher ID'
-      });
-    }
-
     // Check if database is available
     const dbAvailable = await isDatabaseAvailable();
     if (!dbAvailable) {
@@ -37,11 +38,11 @@ const getTeacherNotifications = async (req, res) => {
     }
 
     // Build query conditions
-    let whereConditions = ['n.teacher_id = ?'];
+    let whereConditions = ['n.recipient_id = ?'];
     let queryParams = [teacherId];
 
     // Filter by type if specified
-    if (type && ['submission', 'announcement', 'batch_join'].includes(type)) {
+    if (type) {
       whereConditions.push('n.type = ?');
       queryParams.push(type);
     }
@@ -66,7 +67,7 @@ const getTeacherNotifications = async (req, res) => {
         email: notification.student_email,
         roll_number: notification.roll_number,
         avatar: notification.student_avatar,
-        fallback: notification.student_name.charAt(0).toUpperCase()
+        fallback: (notification.student_name || '?').charAt(0).toUpperCase()
       },
       action: getActionText(notification.type),
       target: notification.batch_name,
@@ -100,38 +101,122 @@ const getTeacherNotifications = async (req, res) => {
 };
 
 /**
- * Mark a notification as read
+ * Get the signed-in user's notification inbox (teachers and students)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const markNotificationAsRead = async (req, res) => {
+const getMyNotifications = async (req, res) => {
   try {
-    const { notificationId } = req.params;
-    const { teacherId } = req.body;
+    const { userId } = req.user;
+    const { type, unread_only } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
 
-    // Validate inputs
-    if (!notificationId || isNaN(parseInt(notificationId))) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid notification ID'
-      });
+    const whereConditions = ['n.recipient_id = ?'];
+    const queryParams = [userId];
+
+    if (type) {
+      whereConditions.push('n.type = ?');
+      queryParams.push(type);
     }
 
-    if (!teacherId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Teacher ID is required'
-      });
+    if (unread_only === 'true') {
+      whereConditions.push('n.is_read = FALSE');
     }
 
+    const whereClause = whereConditions.join(' AND ');
+
+    const notifications = await executeQuery(`
+      SELECT
+        n.notification_id,
+        n.type,
+        n.title,
+        n.message,
+        n.is_read,
+        n.created_at,
+        n.batch_id,
+        n.submission_id,
+        n.actor_id,
+        b.name as batch_name,
+        a.name as actor_name
+      FROM notifications n
+      LEFT JOIN batches b ON n.batch_id = b.batch_id
+      LEFT JOIN users a ON n.actor_id = a.user_id
+      WHERE ${whereClause}
+      ORDER BY n.created_at DESC, n.notification_id DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `, queryParams);
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM notifications n WHERE ${whereClause}`,
+      queryParams
+    );
+    const total = countResult[0].total;
+    const unreadCount = await getUnreadCount(userId);
+
+    res.json({
+      success: true,
+      data: notifications.map(formatNotification),
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications'
+    });
+  }
+};
+
+/**
+ * Get the signed-in user's unread notification count
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMyUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await getUnreadCount(req.user.userId);
+
+    res.json({
+      success: true,
+      data: { unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Error fetching unread notification count:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch unread count'
+    });
+  }
+};
+
+/**
+ * Mark a notification as read
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const markNotificationAsRead = async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+    const { userId } = req.user;
+
     // Update notification as read
     const updateQuery = `
       UPDATE notifications 
       SET is_read = TRUE, updated_at = NOW()
-      WHERE notification_id = ? AND teacher_id = ?
+      WHERE notification_id = ? AND recipient_id = ?
     `;
 
-    const [result] = await pool.execute(updateQuery, [notificationId, teacherId]);
+    const [result] = await pool.execute(updateQuery, [notificationId, userId]);
 
     if (result.affectedRows === 0) {
       return res.status(404).json({
@@ -155,30 +240,22 @@ const markNotificationAsRead = async (req, res) => {
 };
 
 /**
- * Mark all notifications as read for a teacher
+ * Mark all notifications as read for the signed-in user
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const markAllNotificationsAsRead = async (req, res) => {
   try {
-    const { teacherId } = req.params;
-
-    // Validate teacher ID
-    if (!teacherId || isNaN(parseInt(teacherId))) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid teacher ID'
-      });
-    }
+    const userId = getRequestUserId(req);
 
     // Update all notifications as read
     const updateQuery = `
       UPDATE notifications 
       SET is_read = TRUE, updated_at = NOW()
-      WHERE teacher_id = ? AND is_read = FALSE
+      WHERE recipient_id = ? AND is_read = FALSE
     `;
 
-    const [result] = await pool.execute(updateQuery, [teacherId]);
+    const [result] = await pool.execute(updateQuery, [userId]);
 
     res.json({
       success: true,
@@ -195,25 +272,53 @@ const markAllNotificationsAsRead = async (req, res) => {
 };
 
 /**
- * Delete all notifications for a teacher
+ * Delete a single notification owned by the signed-in user
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const deleteAllNotifications = async (req, res) => {
+const deleteNotification = async (req, res) => {
   try {
-    const { teacherId } = req.params;
+    const { notificationId } = req.params;
+    const { userId } = req.user;
 
-    // Validate teacher ID
-    if (!teacherId || isNaN(parseInt(teacherId))) {
-      return res.status(400).json({
+    const result = await executeQuery(
+      'DELETE FROM notifications WHERE notification_id = ? AND recipient_id = ?',
+      [notificationId, userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid teacher ID'
+        message: 'Notification not found or access denied'
       });
     }
 
-    // Delete all notifications for the teacher
-    const deleteQuery = 'DELETE FROM notifications WHERE teacher_id = ?';
-    const [result] = await pool.execute(deleteQuery, [teacherId]);
+    res.json({
+      success: true,
+      message: 'Notification deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting notification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notification'
+    });
+  }
+};
+
+/**
+ * Delete all notifications for the signed-in user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteAllNotifications = async (req, res) => {
+  try {
+    const userId = getRequestUserId(req);
+
+    // Delete all notifications for the user
+    const deleteQuery = 'DELETE FROM notifications WHERE recipient_id = ?';
+    const [result] = await pool.execute(deleteQuery, [userId]);
 
     res.json({
       success: true,
@@ -259,12 +364,12 @@ const createNotification = async (req, res) => {
 
     // Insert notification
     const insertQuery = `
-      INSERT INTO notifications (teacher_id, student_id, batch_id, submission_id, type, title, message)
+      INSERT INTO notifications (recipient_id, actor_id, batch_id, submission_id, type, title, message)
       VALUES (?, ?, ?, ?, ?, ?, ?)
     `;
 
     const [result] = await pool.execute(insertQuery, [
-      teacherId, studentId, batchId, submissionId, type, title, message
+      teacherId, studentId, batchId, submissionId || null, type, title, message
     ]);
 
     const notificationId = result.insertId;
@@ -286,7 +391,7 @@ const createNotification = async (req, res) => {
         sp.roll_number,
         sp.profile_picture_url as student_avatar
       FROM notifications n
-      JOIN users u ON n.student_id = u.user_id
+      JOIN users u ON n.actor_id = u.user_id
       JOIN batches b ON n.batch_id = b.batch_id
       LEFT JOIN student_profiles sp ON u.user_id = sp.user_id
       WHERE n.notification_id = ?
@@ -342,7 +447,7 @@ const createNotification = async (req, res) => {
         email: notification.student_email,
         roll_number: notification.roll_number,
         avatar: notification.student_avatar,
-        fallback: notification.student_name.charAt(0).toUpperCase()
+        fallback: (notification.student_name || '?').charAt(0).toUpperCase()
       },
       action: getActionText(notification.type),
       target: notification.batch_name,
@@ -377,15 +482,7 @@ const createNotification = async (req, res) => {
  */
 const getNotificationSettings = async (req, res) => {
   try {
-    const { teacherId } = req.params;
-
-    // Validate teacher ID
-    if (!teacherId || isNaN(parseInt(teacherId))) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid teacher ID'
-      });
-    }
+    const teacherId = getRequestUserId(req);
 
     // Get or create notification settings
     let settingsQuery = `
@@ -435,17 +532,9 @@ const getNotificationSettings = async (req, res) => {
  */
 const updateNotificationSettings = async (req, res) => {
   try {
-    const { teacherId } = req.params;
+    const teacherId = getRequestUserId(req);
     const { email_notifications, submission_notifications, announcement_notifications, batch_join_notifications } = req.body;
 
-    // Validate teacher ID
-    if (!teacherId || isNaN(parseInt(teacherId))) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid teacher ID'
-      });
-    }
-
     // Update settings
     const updateQuery = `
       UPDATE notification_settings 
@@ -510,8 +599,11 @@ const formatTimestamp = (timestamp) => {
 
 module.exports = {
   getTeacherNotifications,
+  getMyNotifications,
+  getMyUnreadCount,
   markNotificationAsRead,
   markAllNotificationsAsRead,
+  deleteNotification,
   deleteAllNotifications,
   createNotification,
   getNotificationSettings,
@@ -0,0 +1,495 @@
+const { executeQuery, executeTransaction } = require('../utils/database');
+const { getBatchPractical, formatPractical } = require('../utils/practicalService');
+const { getRubric, formatCriterion } = require('../utils/gradingService');
+
+/**
+ * Practical Controller
+ * Teachers define the practicals of a batch (title, instructions, due date and late policy,
+ * allowed languages, max marks and attempts, attachments, rubric); students submit against them with practicalId.
+ * Batch access is enforced in routes via authorizeBatch; the practical must belong to that batch.
+ */
+
+/**
+ * Send a 404 for a practical that is not in the batch
+ * @param {Object} res - Express response object
+ */
+const sendPracticalNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Practical not found'
+});
+
+/**
+ * Check whether any submission has been scored against a practical's rubric
+ * Replacing or deleting the criteria would cascade to those scores
+ * @param {number} practicalId - Practical ID
+ * @returns {Promise<boolean>} True if criterion scores exist
+ */
+const isRubricInUse = async (practicalId) => {
+  const scored = await executeQuery(`
+    SELECT 1
+    FROM submission_criterion_scores sc
+    JOIN practical_rubric_criteria c ON sc.criterion_id = c.criterion_id
+    WHERE c.practical_id = ?
+    LIMIT 1
+  `, [practicalId]);
+  return scored.length > 0;
+};
+
+/**
+ * Refuse a change that would drop graded submissions' criterion scores
+ * @param {Object} res - Express response object
+ * @param {string} message - What cannot be done
+ */
+const sendRubricInUse = (res, message) => res.status(409).json({
+  success: false,
+  message,
+  error: 'RUBRIC_IN_USE'
+});
+
+/**
+ * List a batch's practicals, soonest due first (undated ones last)
+ * Staff get how many enrolled students submitted each practical;
+ * students get the status of their own latest submission and the attempts they have used
+ * Accessible by batch staff and members (enforced by authorizeBatch)
+ */
+const getPracticals = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { batchId } = req.params;
+    const { relation } = req.batchAccess;
+
+    let practicals;
+
+    if (relation === 'member') {
+      practicals = await executeQuery(`
+        SELECT
+          p.*,
+          latest.submission_id as my_submission_id,
+          latest.status as my_status,
+          (
+            SELECT COALESCE(SUM(1 + s.resubmission_count), 0)
+            FROM submissions s
+            WHERE s.practical_id = p.practical_id AND s.student_id = ?
+          ) as my_attempts
+        FROM practicals p
+        LEFT JOIN submissions latest ON latest.submission_id = (
+          SELECT s.submission_id FROM submissions s
+          WHERE s.practical_id = p.practical_id AND s.student_id = ?
+          ORDER BY s.created_at DESC, s.submission_id DESC
+          LIMIT 1
+        )
+        WHERE p.batch_id = ?
+        ORDER BY p.due_at IS NULL, p.due_at ASC, p.created_at ASC
+      `, [userId, userId, batchId]);
+    } else {
+      practicals = await executeQuery(`
+        SELECT
+          p.*,
+          (
+            SELECT COUNT(DISTINCT s.student_id)
+            FROM submissions s
+            JOIN batch_members bm ON bm.batch_id = p.batch_id AND bm.student_id = s.student_id
+            WHERE s.practical_id = p.practical_id
+          ) as submitted_count
+        FROM practicals p
+        WHERE p.batch_id = ?
+        ORDER BY p.due_at IS NULL, p.due_at ASC, p.created_at ASC
+      `, [batchId]);
+    }
+
+    res.json({
+      success: true,
+      data: practicals.map(practical => ({
+        ...formatPractical(practical),
+        ...(relation === 'member'
+          ? { mySubmissionId: practical.my_submission_id, myStatus: practical.my_status, myAttempts: Number(practical.my_attempts) }
+          : { submittedCount: practical.submitted_count })
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get practicals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get one practical with its rubric
+ * Accessible by batch staff and members (enforced by authorizeBatch)
+ */
+const getPractical = async (req, res) => {
+  try {
+    const { batchId, practicalId } = req.params;
+
+    const practical = await getBatchPractical(batchId, practicalId);
+    if (!practical) {
+      return sendPracticalNotFound(res);
+    }
+
+    const rubric = await getRubric(practicalId);
+
+    res.json({
+      success: true,
+      data: {
+        ...formatPractical(practical),
+        rubric: rubric.map(formatCriterion)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get practical error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Create a practical
+ * Owner or co-teacher operation (enforced by authorizeBatch)
+ */
+const createPractical = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { batchId } = req.params;
+    const {
+      title,
+      instructions = null,
+      dueAt = null,
+      allowedLanguages = null,
+      maxMarks = null,
+      attachments = null,
+      latePolicy = 'allow_late',
+      latePenaltyPerDay = 0,
+      maxAttempts = null
+    } = req.body;
+
+    const result = await executeQuery(
+      `INSERT INTO practicals (batch_id, title, instructions, due_at, allowed_languages, max_marks, attachments, late_policy, late_penalty_per_day, max_attempts, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        batchId,
+        title,
+        instructions,
+        dueAt,
+        allowedLanguages ? JSON.stringify(allowedLanguages) : null,
+        maxMarks,
+        attachments ? JSON.stringify(attachments) : null,
+        latePolicy,
+        latePenaltyPerDay,
+        maxAttempts,
+        userId
+      ]
+    );
+
+    const practical = await getBatchPractical(batchId, result.insertId);
+
+    console.log(`📝 Practical ${result.insertId} created in batch ${batchId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Practical created successfully',
+      data: formatPractical(practical)
+    });
+
+  } catch (error) {
+    console.error('Create practical error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Update a practical; only the fields sent are changed
+ * Owner or co-teacher operation (enforced by authorizeBatch)
+ */
+const updatePractical = async (req, res) => {
+  try {
+    const { batchId, practicalId } = req.params;
+    const { title, instructions, dueAt, allowedLanguages, maxMarks, attachments, latePolicy, latePenaltyPerDay, maxAttempts } = req.body;
+
+    if (!await getBatchPractical(batchId, practicalId)) {
+      return sendPracticalNotFound(res);
+    }
+
+    // Build update query dynamically
+    const updateFields = [];
+    const updateValues = [];
+
+    if (title !== undefined) {
+      updateFields.push('title = ?');
+      updateValues.push(title);
+    }
+    if (instructions !== undefined) {
+      updateFields.push('instructions = ?');
+      updateValues.push(instructions);
+    }
+    if (dueAt !== undefined) {
+      updateFields.push('due_at = ?', 'reminder_sent_at = NULL');
+      updateValues.push(dueAt);
+    }
+    if (allowedLanguages !== undefined) {
+      updateFields.push('allowed_languages = ?');
+      updateValues.push(allowedLanguages ? JSON.stringify(allowedLanguages) : null);
+    }
+    if (maxMarks !== undefined) {
+      updateFields.push('max_marks = ?');
+      updateValues.push(maxMarks);
+    }
+    if (attachments !== undefined) {
+      updateFields.push('attachments = ?');
+      updateValues.push(attachments ? JSON.stringify(attachments) : null);
+    }
+    if (latePolicy !== undefined) {
+      updateFields.push('late_policy = ?');
+      updateValues.push(latePolicy);
+    }
+    if (latePenaltyPerDay !== undefined) {
+      updateFields.push('late_penalty_per_day = ?');
+      updateValues.push(latePenaltyPerDay);
+    }
+    if (maxAttempts !== undefined) {
+      updateFields.push('max_attempts = ?');
+      updateValues.push(maxAttempts);
+    }
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    await executeQuery(
+      `UPDATE practicals SET ${updateFields.join(', ')} WHERE practical_id = ?`,
+      [...updateValues, practicalId]
+    );
+
+    // Linked submissions show the practical's current title
+    if (title !== undefined) {
+      await executeQuery('UPDATE submissions SET practical_name = ? WHERE practical_id = ?', [title, practicalId]);
+    }
+
+    const practical = await getBatchPractical(batchId, practicalId);
+
+    res.json({
+      success: true,
+      message: 'Practical updated successfully',
+      data: formatPractical(practical)
+    });
+
+  } catch (error) {
+    console.error('Update practical error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Delete a practical
+ * Submissions made for it are kept and keep their practical_name
+ * Refused once a submission has been scored against its rubric, whose scores would be lost
+ * Owner or co-teacher operation (enforced by authorizeBatch)
+ */
+const deletePractical = async (req, res) => {
+  try {
+    const { batchId, practicalId } = req.params;
+
+    if (!await getBatchPractical(batchId, practicalId)) {
+      return sendPracticalNotFound(res);
+    }
+
+    if (await isRubricInUse(practicalId)) {
+      return sendRubricInUse(res, 'Submissions have already been graded with this practical\'s rubric');
+    }
+
+    const result = await executeQuery(
+      'DELETE FROM practicals WHERE practical_id = ? AND batch_id = ?',
+      [practicalId, batchId]
+    );
+
+    if (result.affectedRows === 0) {
+      return sendPracticalNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Practical deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete practical error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get a practical's rubric
+ * Accessible by batch staff and members (enforced by authorizeBatch)
+ */
+const getPracticalRubric = async (req, res) => {
+  try {
+    const { batchId, practicalId } = req.params;
+
+    if (!await getBatchPractical(batchId, practicalId)) {
+      return sendPracticalNotFound(res);
+    }
+
+    const rubric = await getRubric(practicalId);
+
+    res.json({
+      success: true,
+      data: rubric.map(formatCriterion)
+    });
+
+  } catch (error) {
+    console.error('Get practical rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Replace a practical's rubric; an empty criteria list removes it
+ * Refused once a submission has been scored against the current rubric
+ * Owner or co-teacher operation (enforced by authorizeBatch)
+ */
+const updatePracticalRubric = async (req, res) => {
+  try {
+    const { batchId, practicalId } = req.params;
+    const { criteria } = req.body;
+
+    if (!await getBatchPractical(batchId, practicalId)) {
+      return sendPracticalNotFound(res);
+    }
+
+    if (await isRubricInUse(practicalId)) {
+      return sendRubricInUse(res, 'Submissions have already been graded with this rubric');
+    }
+
+    await executeTransaction([
+      {
+        query: 'DELETE FROM practical_rubric_criteria WHERE practical_id = ?',
+        params: [practicalId]
+      },
+      ...criteria.map((criterion, position) => ({
+        query: 'INSERT INTO practical_rubric_criteria (practical_id, position, title, description, weight, levels) VALUES (?, ?, ?, ?, ?, ?)',
+        params: [
+          practicalId,
+          position,
+          criterion.title,
+          criterion.description || null,
+          criterion.weight,
+          JSON.stringify(criterion.levels.map(({ label, description = null, points }) => ({ label, description, points })))
+        ]
+      }))
+    ]);
+
+    const rubric = await getRubric(practicalId);
+
+    console.log(`📏 Rubric of practical ${practicalId} set with ${rubric.length} criteria`);
+
+    res.json({
+      success: true,
+      message: rubric.length > 0 ? 'Rubric saved successfully' : 'Rubric removed',
+      data: rubric.map(formatCriterion)
+    });
+
+  } catch (error) {
+    console.error('Update practical rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Who has and has not submitted a practical
+ * Lists every enrolled student with their latest submission for it, if any
+ * Accessible by batch staff (enforced by authorizeBatch)
+ */
+const getPracticalSubmissionStatus = async (req, res) => {
+  try {
+    const { batchId, practicalId } = req.params;
+
+    const practical = await getBatchPractical(batchId, practicalId);
+    if (!practical) {
+      return sendPracticalNotFound(res);
+    }
+
+    const students = await executeQuery(`
+      SELECT
+        u.user_id as student_id,
+        u.name as student_name,
+        u.email as student_email,
+        sp.roll_number,
+        latest.submission_id,
+        latest.status,
+        latest.is_late,
+        latest.minutes_late,
+        latest.created_at as submitted_at
+      FROM batch_members bm
+      JOIN users u ON bm.student_id = u.user_id
+      LEFT JOIN student_profiles sp ON u.user_id = sp.user_id
+      LEFT JOIN submissions latest ON latest.submission_id = (
+        SELECT s.submission_id FROM submissions s
+        WHERE s.practical_id = ? AND s.student_id = bm.student_id
+        ORDER BY s.created_at DESC, s.submission_id DESC
+        LIMIT 1
+      )
+      WHERE bm.batch_id = ?
+      ORDER BY u.name ASC
+    `, [practicalId, batchId]);
+
+    const submitted = students.filter(student => student.submission_id);
+    const notSubmitted = students
+      .filter(student => !student.submission_id)
+      .map(({ student_id, student_name, student_email, roll_number }) => ({ student_id, student_name, student_email, roll_number }));
+
+    res.json({
+      success: true,
+      data: {
+        practical: formatPractical(practical),
+        summary: {
+          enrolled: students.length,
+          submitted: submitted.length,
+          notSubmitted: notSubmitted.length
+        },
+        submitted,
+        notSubmitted
+      }
+    });
+
+  } catch (error) {
+    console.error('Get practical submission status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getPracticals,
+  getPractical,
+  createPractical,
+  updatePractical,
+  deletePractical,
+  getPracticalRubric,
+  updatePracticalRubric,
+  getPracticalSubmissionStatus
+};
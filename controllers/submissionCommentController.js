@@ -0,0 +1,186 @@
+const { executeQuery } = require('../utils/database');
+const { notifyUsers } = require('../utils/notificationService');
+const { getBatchStaffIds } = require('../utils/batchStaffService');
+const {
+  splitLines,
+  formatComment,
+  getSubmissionComment,
+  getSubmissionThreads,
+  addSubmissionComment
+} = require('../utils/submissionCommentService');
+
+/**
+ * Submission Comment Controller
+ * Review threads between a student and the batch staff on one submission.
+ * Access to the submission is enforced in routes via authorizeSubmission.
+ */
+
+/**
+ * Send a 404 for a comment that is not on the submission
+ * @param {Object} res - Express response object
+ */
+const sendCommentNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Comment not found'
+});
+
+/**
+ * List a submission's review threads
+ * Accessible by the submitting student and batch staff (enforced by authorizeSubmission)
+ */
+const getSubmissionComments = async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+
+    const threads = await getSubmissionThreads(submissionId);
+
+    res.json({
+      success: true,
+      data: threads
+    });
+
+  } catch (error) {
+    console.error('Get submission comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Comment on a submission, on a line range of its code (lineStart, lineEnd) or reply to a thread
+ * Staff comments notify the student; student comments notify the staff already in the conversation
+ * Accessible by the submitting student and batch staff (enforced by authorizeSubmission)
+ */
+const createSubmissionComment = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { body, parentId = null, lineStart = null } = req.body;
+    const { submission, relation } = req.submissionAccess;
+
+    let threadId = null;
+    let lines = null;
+
+    if (lineStart) {
+      const lineEnd = req.body.lineEnd ?? lineStart;
+      const [{ content }] = await executeQuery('SELECT content FROM submissions WHERE submission_id = ?', [submission.submission_id]);
+      const codeLines = splitLines(content);
+
+      if (lineEnd > codeLines.length) {
+        return res.status(400).json({
+          success: false,
+          message: `The submitted code has ${codeLines.length} lines`
+        });
+      }
+
+      lines = { start: lineStart, end: lineEnd, code: codeLines.slice(lineStart - 1, lineEnd).join('\n') };
+    }
+
+    if (parentId) {
+      const parent = await getSubmissionComment(submission.submission_id, parentId);
+      if (!parent) {
+        return sendCommentNotFound(res);
+      }
+      // Replies to a reply join the thread of the comment they answer
+      threadId = parent.parent_id || parent.comment_id;
+    }
+
+    const io = req.app.get('io');
+    const comment = await addSubmissionComment(io, submission, { authorId: userId, body, parentId: threadId, lines });
+
+    // Tell the other side of the conversation
+    try {
+      let recipientIds = [submission.student_id];
+
+      if (relation === 'author') {
+        const staffIds = await getBatchStaffIds(submission.batch_id);
+        const commenters = await executeQuery(
+          'SELECT DISTINCT author_id FROM submission_comments WHERE submission_id = ?',
+          [submission.submission_id]
+        );
+        const staffCommenters = commenters
+          .map(row => row.author_id)
+          .filter(authorId => staffIds.includes(authorId));
+
+        // Until a staff member joins the conversation, the whole batch staff hears about it
+        recipientIds = staffCommenters.length > 0 ? staffCommenters : staffIds;
+      }
+
+      await notifyUsers(io, recipientIds, {
+        type: 'submission_comment',
+        title: 'New comment on a submission',
+        message: `${comment.author.name} commented: ${body.length > 200 ? `${body.slice(0, 197)}...` : body}`,
+        actorId: userId,
+        batchId: submission.batch_id,
+        submissionId: submission.submission_id
+      });
+    } catch (notificationError) {
+      console.error('Error creating submission comment notification:', notificationError);
+      // Don't fail the comment if the notification fails
+    }
+
+    console.log(`💬 Comment ${comment.commentId} added to submission ${submission.submission_id} by ${userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: comment
+    });
+
+  } catch (error) {
+    console.error('Create submission comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Delete one of your own comments
+ * The comment keeps its place in the thread without its text, so replies still make sense
+ * Accessible by the submitting student and batch staff (enforced by authorizeSubmission)
+ */
+const deleteSubmissionComment = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { submissionId, commentId } = req.params;
+
+    const comment = await getSubmissionComment(submissionId, commentId);
+    if (!comment || comment.deleted_at) {
+      return sendCommentNotFound(res);
+    }
+
+    if (Number(comment.author_id) !== Number(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own comments'
+      });
+    }
+
+    await executeQuery(
+      'UPDATE submission_comments SET body = NULL, deleted_at = CURRENT_TIMESTAMP WHERE comment_id = ?',
+      [commentId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully',
+      data: formatComment({ ...comment, deleted_at: new Date() })
+    });
+
+  } catch (error) {
+    console.error('Delete submission comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getSubmissionComments,
+  createSubmissionComment,
+  deleteSubmissionComment
+};
@@ -1,4 +1,12 @@
-const { pool, executeQuery, isDatabaseAvailable } = require('../utils/database');
+const { pool, executeQuery, executeTransaction, isDatabaseAvailable } = require('../utils/database');
+const { emitToUsers } = require('../utils/realtime');
+const { notifyUsers } = require('../utils/notificationService');
+const { getBatchStaffIds } = require('../utils/batchStaffService');
+const { getBatchPractical, isLanguageAllowed, evaluateDeadline, sendDeadlinePassed } = require('../utils/practicalService');
+const { GRADE_COLUMNS, getRubric, computeRubricMarks, getSubmissionGrade } = require('../utils/gradingService');
+const { addSubmissionComment, remapInlineComments } = require('../utils/submissionCommentService');
+const { canReview, sendInvalidTransition, hasAttemptsLeft, sendMaxAttemptsReached } = require('../utils/submissionReviewService');
+const { originalVersionQuery, editVersionQuery } = require('../utils/submissionVersionService');
 
 /**
  * Submission Controller
@@ -9,46 +17,54 @@ const { pool, executeQuery, isDatabaseAvailable } = require('../utils/database')
 /**
  * Create a new submission
  * Students can post text content with optional file attachment
+ * With practicalId the submission answers that practical and takes its title as practical_name;
+ * after its due date the practical's late policy rejects it or records it as late
+ * Batch membership is enforced by authorizeBatch
  */
 const createSubmission = async (req, res) => {
   try {
-    const { userId, role } = req.user;
-    const { batchId, practicalName, content, fileUrl, codeSandboxLink, codeLanguage } = req.body;
+    const { userId } = req.user;
+    const { batchId, practicalId = null, content, fileUrl, codeSandboxLink, codeLanguage } = req.body;
+    let { practicalName } = req.body;
+    let deadline = evaluateDeadline(null);
+
+    if (practicalId) {
+      const practical = await getBatchPractical(batchId, practicalId);
+
+      if (!practical) {
+        return res.status(404).json({
+          success: false,
+          message: 'Practical not found in this batch'
+        });
+      }
 
-    // Validate required fields
-    if (!batchId || !practicalName || !content) {
-      return res.status(400).json({
-        success: false,
-        message: 'Batch ID, practical name, and content are required'
-      });
-    }
+      if (!isLanguageAllowed(practical, codeLanguage)) {
+        return res.status(400).json({
+          success: false,
+          message: `This practical accepts: ${practical.allowed_languages.join(', ')}`
+        });
+      }
 
-    // Only students can create submissions
-    if (role !== 'student') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only students can create submissions'
-      });
-    }
+      deadline = evaluateDeadline(practical);
+      if (deadline.closed) {
+        return sendDeadlinePassed(res, practical);
+      }
 
-    // Check if student is a member of the batch
-    const [memberCheck] = await pool.execute(
-      'SELECT 1 FROM batch_members WHERE batch_id = ? AND student_id = ?',
-      [batchId, userId]
-    );
+      if (!await hasAttemptsLeft(practical, userId)) {
+        return sendMaxAttemptsReached(res, practical, `You have used all ${practical.max_attempts} attempts for "${practical.title}"`);
+      }
 
-    if (memberCheck.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not a member of this batch'
-      });
+      practicalName = practical.title;
     }
 
-    // Create submission
-    const [result] = await pool.execute(
-      'INSERT INTO submissions (batch_id, student_id, practical_name, content, file_url, code_sandbox_link, code_language) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [batchId, userId, practicalName, content, fileUrl || null, codeSandboxLink || null, codeLanguage || null]
-    );
+    // Create submission together with its first version
+    const [result] = await executeTransaction([
+      {
+        query: 'INSERT INTO submissions (batch_id, practical_id, student_id, practical_name, content, file_url, code_sandbox_link, code_language, is_late, minutes_late, late_penalty_percent) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        params: [batchId, practicalId, userId, practicalName, content, fileUrl || null, codeSandboxLink || null, codeLanguage || null, deadline.isLate, deadline.minutesLate, deadline.penaltyPercent]
+      },
+      originalVersionQuery(userId)
+    ]);
 
     // Get submission details with student info for real-time notification
     const [submissionData] = await pool.execute(`
@@ -100,9 +116,9 @@ const createSubmission = async (req, res) => {
       }
     }
 
-    // Send real-time notification to batch members (especially teacher)
+    // Send real-time update to the author and the batch staff (the student feed is private)
     const io = req.app.get('io');
-    io.to(`batch_${batchId}`).emit('submissionCreated', {
+    emitToUsers(io, [userId, ...await getBatchStaffIds(batchId)], 'submissionCreated', {
       submission: submission,
       message: `New submission from ${submission.student_name}`
     });
@@ -155,37 +171,13 @@ const createSubmission = async (req, res) => {
  * Get all submissions for a specific batch
  * Teachers can see all student submissions in their batch
  * Students can only see their own submissions (private feed)
+ * Batch access is enforced by authorizeBatch
  */
 const getBatchSubmissions = async (req, res) => {
   try {
-    const { userId, role } = req.user;
+    const { userId } = req.user;
     const { batchId } = req.params;
-
-    // Check if user has access to this batch
-    let hasAccess = false;
-    
-    if (role === 'teacher') {
-      // Check if teacher owns the batch
-      const [teacherCheck] = await pool.execute(
-        'SELECT 1 FROM batches WHERE batch_id = ? AND teacher_id = ?',
-        [batchId, userId]
-      );
-      hasAccess = teacherCheck.length > 0;
-    } else {
-      // Check if student is a member
-      const [memberCheck] = await pool.execute(
-        'SELECT 1 FROM batch_members WHERE batch_id = ? AND student_id = ?',
-        [batchId, userId]
-      );
-      hasAccess = memberCheck.length > 0;
-    }
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this batch'
-      });
-    }
+    const { relation } = req.batchAccess;
 
     // Build query based on role
     let query = `
@@ -199,18 +191,19 @@ const getBatchSubmissions = async (req, res) => {
         CASE 
           WHEN u.role = 'student' THEN sp.profile_picture_url
           ELSE tp.profile_picture_url
-        END as profile_picture_url
+        END as profile_picture_url,${GRADE_COLUMNS}
       FROM submissions s
       JOIN users u ON s.student_id = u.user_id
       LEFT JOIN student_profiles sp ON u.user_id = sp.user_id AND u.role = 'student'
       LEFT JOIN teacher_profiles tp ON u.user_id = tp.user_id AND u.role = 'teacher'
+      LEFT JOIN submission_grades g ON s.submission_id = g.submission_id
       WHERE s.batch_id = ?
     `;
     
     const queryParams = [batchId];
 
     // Students can only see their own submissions (private feed)
-    if (role === 'student') {
+    if (relation === 'member') {
       query += ' AND s.student_id = ?';
       queryParams.push(userId);
       console.log('🔍 [Backend] Student query - User ID:', userId, 'Batch ID:', batchId);
@@ -230,7 +223,8 @@ const getBatchSubmissions = async (req, res) => {
 
     res.json({
       success: true,
-      data: submissions
+      data: submissions,
+      lateCount: submissions.filter(submission => submission.is_late).length
     });
 
   } catch (error) {
@@ -243,61 +237,64 @@ const getBatchSubmissions = async (req, res) => {
 };
 
 /**
- * Update submission status (accept/reject)
- * Only teachers can update submission status
+ * Update submission status (accept, reject or request changes)
+ * Moves follow the review state machine in utils/submissionReviewService.js; requesting changes
+ * reopens the submission for the student and needs an attempt left on the practical.
+ * An optional reason is posted to the submission's review thread; batches with
+ * require_rejection_reason refuse a rejection without one
+ * Only the batch owner, co-teachers and TAs can update status (enforced by authorizeSubmission)
  */
 const updateSubmissionStatus = async (req, res) => {
   try {
-    const { userId, role } = req.user;
     const { submissionId } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
-    // Validate status
-    if (!['accepted', 'rejected'].includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Status must be either "accepted" or "rejected"'
-      });
+    const { submission } = req.submissionAccess;
+
+    if (!canReview(submission.status, status)) {
+      return sendInvalidTransition(res, submission.status, status);
     }
 
-    // Only teachers can update submission status
-    if (role !== 'teacher') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only teachers can update submission status'
-      });
+    if (status === 'changes_requested' && submission.practical_id) {
+      const practical = await getBatchPractical(submission.batch_id, submission.practical_id);
+      if (!await hasAttemptsLeft(practical, submission.student_id)) {
+        return sendMaxAttemptsReached(res, practical, 'The student has no attempts left; accept or reject the submission');
+      }
     }
 
-    // Get submission details and verify teacher owns the batch
-    const [submissionCheck] = await pool.execute(`
-      SELECT s.*, b.teacher_id, u.name as student_name
-      FROM submissions s
-      JOIN batches b ON s.batch_id = b.batch_id
-      JOIN users u ON s.student_id = u.user_id
-      WHERE s.submission_id = ?
-    `, [submissionId]);
+    if (status === 'rejected' && !reason) {
+      const [batches] = await pool.execute(
+        'SELECT require_rejection_reason FROM batches WHERE batch_id = ?',
+        [submission.batch_id]
+      );
 
-    if (submissionCheck.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Submission not found'
-      });
+      if (batches[0]?.require_rejection_reason) {
+        return res.status(400).json({
+          success: false,
+          message: 'This batch requires a reason when rejecting a submission',
+          error: 'REASON_REQUIRED'
+        });
+      }
     }
 
-    const submission = submissionCheck[0];
+    // Only move from the status that was checked, so concurrent reviews cannot skip the state machine;
+    // the reviewed version is what later diffs start from
+    const [updateResult] = await pool.execute(
+      `UPDATE submissions
+       SET status = ?, reviewed_version = (SELECT MAX(version_number) FROM submission_versions WHERE submission_id = ?)
+       WHERE submission_id = ? AND status = ?`,
+      [status, submissionId, submissionId, submission.status]
+    );
 
-    if (submission.teacher_id !== userId) {
-      return res.status(403).json({
+    if (updateResult.affectedRows === 0) {
+      return res.status(409).json({
         success: false,
-        message: 'You can only update submissions in your own batches'
+        message: 'The submission was changed in the meantime; reload it and try again',
+        error: 'SUBMISSION_CHANGED'
       });
     }
 
-    // Update submission status
-    await pool.execute(
-      'UPDATE submissions SET status = ? WHERE submission_id = ?',
-      [status, submissionId]
-    );
+    const outcome = status === 'changes_requested' ? 'returned for changes' : status;
 
     // Get updated submission data
     const [updatedSubmission] = await pool.execute(`
@@ -312,17 +309,37 @@ const updateSubmissionStatus = async (req, res) => {
 
     const finalSubmission = updatedSubmission[0];
 
-    // Send real-time notification to student and batch members
+    // Deliver the status change only to the affected student and the batch staff
     const io = req.app.get('io');
-    io.to(`batch_${submission.batch_id}`).emit('submissionUpdated', {
+    emitToUsers(io, [submission.student_id, ...await getBatchStaffIds(submission.batch_id)], 'submissionUpdated', {
       submission: finalSubmission,
-      message: `Submission ${status} by teacher`
+      message: `Submission ${outcome} by teacher`
     });
 
+    const comment = reason
+      ? await addSubmissionComment(io, submission, { authorId: req.user.userId, body: reason, reviewStatus: status })
+      : null;
+
+    // Add the review outcome to the student's inbox
+    try {
+      await notifyUsers(io, [submission.student_id], {
+        type: `submission_${status}`,
+        title: status === 'changes_requested' ? 'Changes requested' : `Submission ${status}`,
+        message: `Your submission "${finalSubmission.practical_name}" was ${outcome}${reason ? `: ${reason}` : ''}`,
+        actorId: req.user.userId,
+        batchId: submission.batch_id,
+        submissionId: submission.submission_id
+      });
+    } catch (notificationError) {
+      console.error('Error creating submission status notification:', notificationError);
+      // Don't fail the review if the notification fails
+    }
+
     res.json({
       success: true,
-      message: `Submission ${status} successfully`,
-      data: finalSubmission
+      message: `Submission ${outcome} successfully`,
+      data: finalSubmission,
+      comment
     });
 
   } catch (error) {
@@ -334,6 +351,114 @@ const updateSubmissionStatus = async (req, res) => {
   }
 };
 
+/**
+ * Award marks to a submission, replacing any earlier grade
+ * Practicals with a rubric are graded per criterion ({ scores }), everything else with { marks }
+ * (at most the practical's max_marks); the late penalty is applied when the grade is read
+ * Only the batch owner, co-teachers and TAs can grade (enforced by authorizeSubmission)
+ */
+const gradeSubmission = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { submissionId } = req.params;
+    const { marks, scores } = req.body;
+
+    const { submission } = req.submissionAccess;
+
+    const practical = submission.practical_id
+      ? await getBatchPractical(submission.batch_id, submission.practical_id)
+      : null;
+    const rubric = practical ? await getRubric(practical.practical_id) : [];
+
+    let marksAwarded = marks;
+    let maxMarks = practical ? practical.max_marks : null;
+
+    if (rubric.length > 0) {
+      if (!scores) {
+        return res.status(400).json({
+          success: false,
+          message: 'This practical is graded with its rubric; send a score for every criterion'
+        });
+      }
+
+      const result = computeRubricMarks(rubric, scores, maxMarks);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      ({ marksAwarded, maxMarks } = result);
+    } else if (scores) {
+      return res.status(400).json({
+        success: false,
+        message: 'This submission has no rubric to score against; send marks instead'
+      });
+    } else if (maxMarks !== null && marks > maxMarks) {
+      return res.status(400).json({
+        success: false,
+        message: `Marks cannot exceed the practical's max marks (${maxMarks})`
+      });
+    }
+
+    await executeTransaction([
+      {
+        query: `INSERT INTO submission_grades (submission_id, marks_awarded, max_marks, graded_by) VALUES (?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE marks_awarded = VALUES(marks_awarded), max_marks = VALUES(max_marks), graded_by = VALUES(graded_by), graded_at = CURRENT_TIMESTAMP`,
+        params: [submissionId, marksAwarded, maxMarks, userId]
+      },
+      {
+        query: 'DELETE FROM submission_criterion_scores WHERE submission_id = ?',
+        params: [submissionId]
+      },
+      ...(rubric.length > 0 ? scores : []).map(score => ({
+        query: 'INSERT INTO submission_criterion_scores (submission_id, criterion_id, points) VALUES (?, ?, ?)',
+        params: [submissionId, score.criterionId, score.points]
+      }))
+    ]);
+
+    const grade = await getSubmissionGrade(submission.submission_id);
+
+    console.log(`💯 Submission ${submissionId} graded ${grade.totalMarks}${grade.maxMarks !== null ? `/${grade.maxMarks}` : ''} by ${userId}`);
+
+    // Deliver the grade only to the affected student and the batch staff
+    const io = req.app.get('io');
+    emitToUsers(io, [submission.student_id, ...await getBatchStaffIds(submission.batch_id)], 'submissionGraded', {
+      submissionId: submission.submission_id,
+      batchId: submission.batch_id,
+      grade
+    });
+
+    try {
+      await notifyUsers(io, [submission.student_id], {
+        type: 'submission_graded',
+        title: 'Submission graded',
+        message: `You scored ${grade.totalMarks}${grade.maxMarks !== null ? ` out of ${grade.maxMarks}` : ''}`,
+        actorId: userId,
+        batchId: submission.batch_id,
+        submissionId: submission.submission_id
+      });
+    } catch (notificationError) {
+      console.error('Error creating submission graded notification:', notificationError);
+      // Don't fail the grading if the notification fails
+    }
+
+    res.json({
+      success: true,
+      message: 'Submission graded successfully',
+      data: grade
+    });
+
+  } catch (error) {
+    console.error('Grade submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 /**
  * Get accepted submissions across all batches for explore feed
  * Returns public submissions that are accepted
@@ -360,7 +485,7 @@ const getExploreSubmissions = async (req, res) => {
       JOIN batches b ON s.batch_id = b.batch_id
       LEFT JOIN teacher_profiles tp ON b.teacher_id = tp.user_id
       LEFT JOIN student_profiles sp ON u.user_id = sp.user_id AND u.role = 'student'
-      WHERE s.status = 'accepted'
+      WHERE s.status = 'accepted' AND b.deleted_at IS NULL
     `;
 
     const queryParams = [];
@@ -395,25 +520,18 @@ const getExploreSubmissions = async (req, res) => {
  */
 const getStudentSubmissions = async (req, res) => {
   try {
-    const { userId, role } = req.user;
-
-    // Only students can access this endpoint
-    if (role !== 'student') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only students can access submission history'
-      });
-    }
+    const { userId } = req.user;
 
     const [submissions] = await pool.execute(`
       SELECT 
         s.*,
         b.name as batch_name,
-        COALESCE(tp.college_name, b.college_name) as college_name
+        COALESCE(tp.college_name, b.college_name) as college_name,${GRADE_COLUMNS}
       FROM submissions s
       JOIN batches b ON s.batch_id = b.batch_id
       LEFT JOIN teacher_profiles tp ON b.teacher_id = tp.user_id
-      WHERE s.student_id = ?
+      LEFT JOIN submission_grades g ON s.submission_id = g.submission_id
+      WHERE s.student_id = ? AND b.deleted_at IS NULL
       ORDER BY s.created_at DESC
     `, [userId]);
 
@@ -431,60 +549,94 @@ const getStudentSubmissions = async (req, res) => {
   }
 };
 
- /**
- * Edit a submission (students only, before teacher review)
- * Students can edit their own submissions if status is still 'pending'
+/**
+ * Edit a submission (students only, before teacher review or after changes were requested)
+ * Students can edit their own submissions while 'pending'; editing one in 'changes_requested'
+ * resubmits it: it goes back to 'pending' and uses one of the practical's attempts.
+ * Every edit is kept as a new version (utils/submissionVersionService.js)
  */
 const editSubmission = async (req, res) => {
   try {
-    const { userId, role } = req.user;
     const { submissionId } = req.params;
-    const { practicalName, content, fileUrl, codeSandboxLink, codeLanguage } = req.body;
+    const { content, fileUrl, codeSandboxLink, codeLanguage } = req.body;
 
-    // Validate required fields
-    if (!practicalName || !content) {
+    const { submission } = req.submissionAccess;
+    const isResubmission = submission.status === 'changes_requested';
+
+    // Only allow editing before review or when changes were requested
+    if (submission.status !== 'pending' && !isResubmission) {
       return res.status(400).json({
         success: false,
-        message: 'Practical name and content are required'
+        message: 'Cannot edit submissions that have been reviewed'
       });
     }
 
-    // Only students can edit submissions
-    if (role !== 'student') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only students can edit submissions'
-      });
+    // Submissions for a practical keep its title, must stay within its languages and follow
+    // its late policy: an edit after the due date is rejected (hard close) or makes the submission late.
+    // Resubmissions were asked for by the staff, so the due date does not apply to them
+    let practicalName = req.body.practicalName ?? null;
+    let deadline = evaluateDeadline(null);
+    if (submission.practical_id) {
+      const practical = await getBatchPractical(submission.batch_id, submission.practical_id);
+
+      if (practical && !isLanguageAllowed(practical, codeLanguage)) {
+        return res.status(400).json({
+          success: false,
+          message: `This practical accepts: ${practical.allowed_languages.join(', ')}`
+        });
+      }
+
+      if (isResubmission) {
+        if (!await hasAttemptsLeft(practical, submission.student_id)) {
+          return sendMaxAttemptsReached(res, practical, `You have used all ${practical.max_attempts} attempts for "${practical.title}"`);
+        }
+      } else {
+        deadline = evaluateDeadline(practical);
+        if (deadline.closed) {
+          return sendDeadlinePassed(res, practical);
+        }
+      }
+
+      practicalName = null;
     }
 
-    // Check if submission exists and belongs to the student
-    const [submissionCheck] = await pool.execute(
-      'SELECT * FROM submissions WHERE submission_id = ? AND student_id = ?',
-      [submissionId, userId]
-    );
+    const updateFields = ['practical_name = COALESCE(?, practical_name)', 'content = ?', 'file_url = ?', 'code_sandbox_link = ?', 'code_language = ?'];
+    const updateValues = [practicalName, content, fileUrl || null, codeSandboxLink || null, codeLanguage || null];
 
-    if (submissionCheck.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Submission not found or access denied'
-      });
+    if (deadline.isLate) {
+      updateFields.push('is_late = TRUE', 'minutes_late = ?', 'late_penalty_percent = ?');
+      updateValues.push(deadline.minutesLate, deadline.penaltyPercent);
     }
 
-    const submission = submissionCheck[0];
+    if (isResubmission) {
+      updateFields.push("status = 'pending'", 'resubmission_count = resubmission_count + 1');
+    }
 
-    // Only allow editing if submission is still pending
-    if (submission.status !== 'pending') {
-      return res.status(400).json({
+    // Record the new version and update the submission together, only from the status that was checked
+    const [, updateResult] = await executeTransaction([
+      editVersionQuery(submission, isResubmission ? 'resubmission' : 'edit', submission.student_id, {
+        practicalName,
+        content,
+        fileUrl: fileUrl || null,
+        codeSandboxLink: codeSandboxLink || null,
+        codeLanguage: codeLanguage || null
+      }),
+      {
+        query: `UPDATE submissions SET ${updateFields.join(', ')} WHERE submission_id = ? AND status = ?`,
+        params: [...updateValues, submissionId, submission.status]
+      }
+    ]);
+
+    if (updateResult.affectedRows === 0) {
+      return res.status(409).json({
         success: false,
-        message: 'Cannot edit submissions that have been reviewed'
+        message: 'The submission was reviewed in the meantime; reload it and try again',
+        error: 'SUBMISSION_CHANGED'
       });
     }
 
-    // Update submission
-    await pool.execute(
-      'UPDATE submissions SET practical_name = ?, content = ?, file_url = ?, code_sandbox_link = ?, code_language = ? WHERE submission_id = ?',
-      [practicalName, content, fileUrl || null, codeSandboxLink || null, codeLanguage || null, submissionId]
-    );
+    // Inline review comments follow their lines into the new code
+    const inlineComments = await remapInlineComments(submissionId, content);
 
     // Get updated submission details
     const [updatedSubmission] = await pool.execute(`
@@ -499,17 +651,36 @@ const editSubmission = async (req, res) => {
 
     const finalSubmission = updatedSubmission[0];
 
-    // Send real-time notification to batch members
+    // Send real-time update to the author and the batch staff
     const io = req.app.get('io');
-    io.to(`batch_${submission.batch_id}`).emit('submissionUpdated', {
+    const staffIds = await getBatchStaffIds(submission.batch_id);
+    emitToUsers(io, [submission.student_id, ...staffIds], 'submissionUpdated', {
       submission: finalSubmission,
-      message: `Submission updated by ${finalSubmission.student_name}`
+      message: `Submission ${isResubmission ? 'resubmitted' : 'updated'} by ${finalSubmission.student_name}`
     });
 
+    // A resubmission is back in the staff's review queue
+    if (isResubmission) {
+      try {
+        await notifyUsers(io, staffIds, {
+          type: 'submission',
+          title: `Resubmission from ${finalSubmission.student_name}`,
+          message: `"${finalSubmission.practical_name}" was resubmitted (attempt ${finalSubmission.resubmission_count + 1})`,
+          actorId: submission.student_id,
+          batchId: submission.batch_id,
+          submissionId: submission.submission_id
+        });
+      } catch (notificationError) {
+        console.error('Error creating resubmission notification:', notificationError);
+        // Don't fail the resubmission if the notification fails
+      }
+    }
+
     res.json({
       success: true,
-      message: 'Submission updated successfully',
-      data: finalSubmission
+      message: isResubmission ? 'Submission resubmitted successfully' : 'Submission updated successfully',
+      data: finalSubmission,
+      inlineComments
     });
 
   } catch (error) {
@@ -523,38 +694,16 @@ const editSubmission = async (req, res) => {
 
 /**
  * Delete a submission (students only, before teacher review)
- * Students can delete their own submissions if status is still 'pending'
+ * Students can delete their own submissions if status is still 'pending' and it was never sent back for changes
  */
 const deleteSubmission = async (req, res) => {
   try {
-    const { userId, role } = req.user;
+    const { userId } = req.user;
     const { submissionId } = req.params;
+    const { submission } = req.submissionAccess;
 
-    // Only students can delete submissions
-    if (role !== 'student') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only students can delete submissions'
-      });
-    }
-
-    // Check if submission exists and belongs to the student
-    const [submissionCheck] = await pool.execute(
-      'SELECT * FROM submissions WHERE submission_id = ? AND student_id = ?',
-      [submissionId, userId]
-    );
-
-    if (submissionCheck.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Submission not found or access denied'
-      });
-    }
-
-    const submission = submissionCheck[0];
-
-    // Only allow deletion if submission is still pending
-    if (submission.status !== 'pending') {
+    // Only allow deletion if submission is still pending and has no review history
+    if (submission.status !== 'pending' || submission.resubmission_count > 0) {
       return res.status(400).json({
         success: false,
         message: 'Cannot delete submissions that have been reviewed'
@@ -573,9 +722,9 @@ const deleteSubmission = async (req, res) => {
       [userId]
     );
 
-    // Send real-time notification to batch members
+    // Send real-time update to the author and the batch staff
     const io = req.app.get('io');
-    io.to(`batch_${submission.batch_id}`).emit('submissionDeleted', {
+    emitToUsers(io, [userId, ...await getBatchStaffIds(submission.batch_id)], 'submissionDeleted', {
       submissionId,
       batchId: submission.batch_id,
       message: `Submission deleted by ${studentData[0].name}`
@@ -602,37 +751,12 @@ const deleteSubmission = async (req, res) => {
  */
 const getBatchStats = async (req, res) => {
   try {
-    const { userId, role } = req.user;
+    const { userId } = req.user;
     const { batchId } = req.params;
+    const { relation } = req.batchAccess;
 
-    // Check if user has access to this batch
-    let hasAccess = false;
-    
-    if (role === 'teacher') {
-      // Check if teacher owns the batch
-      const [teacherCheck] = await pool.execute(
-        'SELECT 1 FROM batches WHERE batch_id = ? AND teacher_id = ?',
-        [batchId, userId]
-      );
-      hasAccess = teacherCheck.length > 0;
-    } else {
-      // Check if student is a member
-      const [memberCheck] = await pool.execute(
-        'SELECT 1 FROM batch_members WHERE batch_id = ? AND student_id = ?',
-        [batchId, userId]
-      );
-      hasAccess = memberCheck.length > 0;
-    }
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this batch'
-      });
-    }
-
-    if (role === 'teacher') {
-      // Teachers see global batch statistics
+    if (relation !== 'member') {
+      // Batch staff see global batch statistics
       console.log('🔍 [Backend] Teacher stats - User ID:', userId, 'Batch ID:', batchId);
     const [studentCount] = await pool.execute(
       'SELECT COUNT(*) as count FROM batch_members WHERE batch_id = ?',
@@ -659,12 +783,24 @@ const getBatchStats = async (req, res) => {
         [batchId]
       );
 
+      const [changesRequestedSubmissions] = await pool.execute(
+        'SELECT COUNT(*) as count FROM submissions WHERE batch_id = ? AND status = "changes_requested"',
+        [batchId]
+      );
+
+      const [lateSubmissions] = await pool.execute(
+        'SELECT COUNT(*) as count FROM submissions WHERE batch_id = ? AND is_late = TRUE',
+        [batchId]
+      );
+
       const responseData = {
         enrolledStudents: studentCount[0].count,
         totalSubmissions: totalSubmissions[0].count,
         pendingSubmissions: pendingSubmissions[0].count,
         acceptedSubmissions: acceptedSubmissions[0].count,
-        rejectedSubmissions: rejectedSubmissions[0].count
+        rejectedSubmissions: rejectedSubmissions[0].count,
+        changesRequestedSubmissions: changesRequestedSubmissions[0].count,
+        lateSubmissions: lateSubmissions[0].count
       };
       console.log('📊 [Backend] Teacher stats response:', responseData);
       
@@ -695,12 +831,24 @@ const getBatchStats = async (req, res) => {
         [batchId, userId]
       );
 
+      const [changesRequestedSubmissions] = await pool.execute(
+        'SELECT COUNT(*) as count FROM submissions WHERE batch_id = ? AND student_id = ? AND status = "changes_requested"',
+        [batchId, userId]
+      );
+
+      const [lateSubmissions] = await pool.execute(
+        'SELECT COUNT(*) as count FROM submissions WHERE batch_id = ? AND student_id = ? AND is_late = TRUE',
+        [batchId, userId]
+      );
+
       const responseData = {
         enrolledStudents: 1, // Students only see themselves
         totalSubmissions: totalSubmissions[0].count,
         pendingSubmissions: pendingSubmissions[0].count,
         acceptedSubmissions: acceptedSubmissions[0].count,
-        rejectedSubmissions: rejectedSubmissions[0].count
+        rejectedSubmissions: rejectedSubmissions[0].count,
+        changesRequestedSubmissions: changesRequestedSubmissions[0].count,
+        lateSubmissions: lateSubmissions[0].count
       };
       console.log('📊 [Backend] Student stats response:', responseData);
       
@@ -723,71 +871,47 @@ const getBatchStats = async (req, res) => {
  * Get individual submission by ID
  * Students can only access their own submissions (private access)
  * Teachers can access any submission in their batches
+ * Both rules are enforced by authorizeSubmission
  */
 const getSubmission = async (req, res) => {
   try {
-    const { userId, role } = req.user;
     const { submissionId } = req.params;
 
-    let query, params;
-
-    if (role === 'student') {
-      // Students can only access their own submissions
-      query = `
-        SELECT 
-          s.submission_id,
-          s.batch_id,
-          s.student_id,
-          s.practical_name,
-          s.content,
-          s.file_url,
-          s.code_sandbox_link,
-          s.code_language,
-          s.status,
-          s.created_at,
-          s.updated_at,
-          u.name as student_name,
-          u.email as student_email
-        FROM submissions s
-        JOIN users u ON s.student_id = u.user_id
-        WHERE s.submission_id = ? AND s.student_id = ?
-      `;
-      params = [submissionId, userId];
-    } else {
-      // Teachers can only access submissions from their own batches
-      query = `
-        SELECT 
-          s.submission_id,
-          s.batch_id,
-          s.student_id,
-          s.practical_name,
-          s.content,
-          s.file_url,
-          s.code_sandbox_link,
-          s.code_language,
-          s.status,
-          s.created_at,
-          s.updated_at,
-          u.name as student_name,
-          u.email as student_email
-        FROM submissions s
-        JOIN users u ON s.student_id = u.user_id
-        JOIN batches b ON s.batch_id = b.batch_id
-        WHERE s.submission_id = ? AND b.teacher_id = ?
-      `;
-      params = [submissionId, userId];
-    }
-
-    const [submissions] = await pool.execute(query, params);
+    const [submissions] = await pool.execute(`
+      SELECT 
+        s.submission_id,
+        s.batch_id,
+        s.student_id,
+        s.practical_id,
+        s.practical_name,
+        s.content,
+        s.file_url,
+        s.code_sandbox_link,
+        s.code_language,
+        s.status,
+        s.resubmission_count,
+        s.reviewed_version,
+        s.is_late,
+        s.minutes_late,
+        s.late_penalty_percent,
+        s.created_at,
+        s.updated_at,
+        u.name as student_name,
+        u.email as student_email
+      FROM submissions s
+      JOIN users u ON s.student_id = u.user_id
+      WHERE s.submission_id = ?
+    `, [submissionId]);
 
     if (submissions.length === 0) {
       return res.status(404).json({
         success: false,
-        message: 'Submission not found or access denied'
+        message: 'Submission not found'
       });
     }
 
     const submission = submissions[0];
+    const grade = await getSubmissionGrade(submission.submission_id);
 
     res.json({
       success: true,
@@ -795,12 +919,19 @@ const getSubmission = async (req, res) => {
         id: submission.submission_id,
         batchId: submission.batch_id,
         studentId: submission.student_id,
+        practicalId: submission.practical_id,
         practicalName: submission.practical_name,
         content: submission.content,
         fileUrl: submission.file_url,
         codeSandboxLink: submission.code_sandbox_link,
         codeLanguage: submission.code_language,
         status: submission.status,
+        resubmissionCount: submission.resubmission_count,
+        reviewedVersion: submission.reviewed_version,
+        isLate: Boolean(submission.is_late),
+        minutesLate: submission.minutes_late,
+        latePenaltyPercent: Number(submission.late_penalty_percent),
+        grade,
         createdAt: submission.created_at,
         updatedAt: submission.updated_at,
         studentName: submission.student_name,
@@ -821,6 +952,7 @@ module.exports = {
   createSubmission,
   getBatchSubmissions,
   updateSubmissionStatus,
+  gradeSubmission,
   getExploreSubmissions,
   getStudentSubmissions,
   editSubmission,
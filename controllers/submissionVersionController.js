@@ -0,0 +1,155 @@
+const { executeQuery } = require('../utils/database');
+const { getSubmissionVersions, getSubmissionVersion, formatVersion } = require('../utils/submissionVersionService');
+const { createUnifiedDiff } = require('../utils/textDiff');
+
+/**
+ * Submission Version Controller
+ * Read-only access to a submission's saved versions and diffs between them.
+ * Access to the submission is enforced in routes via authorizeSubmission.
+ */
+
+// Metadata compared alongside the content diff
+const VERSION_FIELDS = ['practicalName', 'fileUrl', 'codeSandboxLink', 'codeLanguage'];
+
+/**
+ * Send a 404 for a version the submission does not have
+ * @param {Object} res - Express response object
+ * @param {number} versionNumber - Requested version
+ */
+const sendVersionNotFound = (res, versionNumber) => res.status(404).json({
+  success: false,
+  message: `Version ${versionNumber} not found`
+});
+
+/**
+ * Get the version staff last reviewed
+ * @param {number} submissionId - Submission ID
+ * @returns {Promise<number|null>} Version number or null if never reviewed
+ */
+const getReviewedVersion = async (submissionId) => {
+  const submissions = await executeQuery(
+    'SELECT reviewed_version FROM submissions WHERE submission_id = ?',
+    [submissionId]
+  );
+  return submissions[0]?.reviewed_version ?? null;
+};
+
+/**
+ * List a submission's versions, oldest first (content is fetched per version)
+ * Accessible by the submitting student and batch staff (enforced by authorizeSubmission)
+ */
+const listSubmissionVersions = async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+
+    const versions = await getSubmissionVersions(submissionId);
+
+    res.json({
+      success: true,
+      data: versions.map(formatVersion),
+      reviewedVersion: await getReviewedVersion(submissionId)
+    });
+
+  } catch (error) {
+    console.error('Get submission versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get one version of a submission with its content
+ * Accessible by the submitting student and batch staff (enforced by authorizeSubmission)
+ */
+const getSubmissionVersionDetails = async (req, res) => {
+  try {
+    const { submissionId, versionNumber } = req.params;
+
+    const version = await getSubmissionVersion(submissionId, versionNumber);
+    if (!version) {
+      return sendVersionNotFound(res, versionNumber);
+    }
+
+    res.json({
+      success: true,
+      data: formatVersion(version)
+    });
+
+  } catch (error) {
+    console.error('Get submission version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Unified diff between two versions of a submission
+ * Defaults: `to` is the latest version and `from` the last reviewed one (or the version before `to`)
+ * Accessible by the submitting student and batch staff (enforced by authorizeSubmission)
+ */
+const getSubmissionDiff = async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+
+    const versions = await getSubmissionVersions(submissionId);
+    if (versions.length === 0) {
+      return sendVersionNotFound(res, 1);
+    }
+
+    const reviewedVersion = await getReviewedVersion(submissionId);
+    const to = req.query.to ?? versions[versions.length - 1].version_number;
+    const from = req.query.from ?? (reviewedVersion && reviewedVersion < to ? reviewedVersion : Math.max(1, to - 1));
+
+    const [fromVersion, toVersion] = await Promise.all([
+      getSubmissionVersion(submissionId, from),
+      getSubmissionVersion(submissionId, to)
+    ]);
+
+    if (!fromVersion) {
+      return sendVersionNotFound(res, from);
+    }
+    if (!toVersion) {
+      return sendVersionNotFound(res, to);
+    }
+
+    const { diff, additions, deletions } = createUnifiedDiff(fromVersion.content, toVersion.content, {
+      fromLabel: `version ${from}`,
+      toLabel: `version ${to}`
+    });
+
+    const fromDetails = formatVersion(fromVersion);
+    const toDetails = formatVersion(toVersion);
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        reviewedVersion,
+        diff,
+        additions,
+        deletions,
+        changedFields: VERSION_FIELDS
+          .filter(field => fromDetails[field] !== toDetails[field])
+          .map(field => ({ field, from: fromDetails[field], to: toDetails[field] }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get submission diff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  listSubmissionVersions,
+  getSubmissionVersionDetails,
+  getSubmissionDiff
+};
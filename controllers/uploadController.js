@@ -75,41 +75,12 @@ const uploadProfilePicture = async (req, res) => {
 /**
  * Upload submission file (base64)
  * POST /api/upload/submission-file
+ * Batch membership is enforced by authorizeBatch
  */
 const uploadSubmissionFile = async (req, res) => {
   try {
-    const { userId, role } = req.user; // From JWT middleware
     const { batchId, fileData, fileName, fileType } = req.body;
 
-    // Validate required fields
-    if (!batchId || !fileData || !fileName) {
-      return res.status(400).json({
-        success: false,
-        message: 'Batch ID, file data, and file name are required'
-      });
-    }
-
-    // Only students can upload submission files
-    if (role !== 'student') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only students can upload submission files'
-      });
-    }
-
-    // Check if student is a member of the batch
-    const [memberCheck] = await pool.execute(
-      'SELECT 1 FROM batch_members WHERE batch_id = ? AND student_id = ?',
-      [batchId, userId]
-    );
-
-    if (memberCheck.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not a member of this batch'
-      });
-    }
-
     // Validate file type and size
     const validation = validateSubmissionFile(fileData, fileType);
     if (!validation.success) {
@@ -100,6 +100,297 @@ CREATE TABLE IF NOT EXISTS notification_settings (
   UNIQUE KEY unique_teacher_settings (teacher_id)
 );
 
+-- Create user_sessions table: one row per sign-in (refresh token family)
+CREATE TABLE IF NOT EXISTS user_sessions (
+  session_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  user_agent VARCHAR(500) DEFAULT NULL,
+  ip_address VARCHAR(45) DEFAULT NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME DEFAULT NULL,
+  revoked_reason VARCHAR(50) DEFAULT NULL,
+  last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+  INDEX idx_user_sessions_user_id (user_id),
+  INDEX idx_user_sessions_revoked_at (revoked_at)
+);
+
+-- Create session_refresh_tokens table: rotating refresh tokens (SHA-256 hashes only)
+CREATE TABLE IF NOT EXISTS session_refresh_tokens (
+  token_id INT AUTO_INCREMENT PRIMARY KEY,
+  session_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (session_id) REFERENCES user_sessions(session_id) ON DELETE CASCADE,
+  UNIQUE KEY unique_refresh_token_hash (token_hash),
+  INDEX idx_session_refresh_tokens_session_id (session_id)
+);
+
+-- Add admin role and account disabling to users table
+ALTER TABLE users MODIFY COLUMN role ENUM('student', 'teacher', 'admin') NOT NULL;
+ALTER TABLE users ADD COLUMN disabled_at DATETIME DEFAULT NULL;
+ALTER TABLE users ADD COLUMN disabled_reason VARCHAR(255) DEFAULT NULL;
+CREATE INDEX idx_users_role ON users(role);
+
+-- Generalize notifications to a recipient-based model so students get an inbox too
+-- recipient_id is who sees the notification, actor_id who triggered it (NULL for system reminders)
+-- teacher_id and student_id are legacy columns kept nullable and no longer written
+ALTER TABLE notifications ADD COLUMN recipient_id INT DEFAULT NULL AFTER notification_id;
+ALTER TABLE notifications ADD COLUMN actor_id INT DEFAULT NULL AFTER recipient_id;
+UPDATE notifications SET recipient_id = teacher_id, actor_id = student_id WHERE recipient_id IS NULL;
+ALTER TABLE notifications MODIFY COLUMN recipient_id INT NOT NULL;
+ALTER TABLE notifications MODIFY COLUMN teacher_id INT DEFAULT NULL;
+ALTER TABLE notifications MODIFY COLUMN student_id INT DEFAULT NULL;
+ALTER TABLE notifications MODIFY COLUMN batch_id INT DEFAULT NULL;
+ALTER TABLE notifications MODIFY COLUMN type ENUM('submission', 'announcement', 'batch_join', 'submission_accepted', 'submission_rejected', 'deadline_reminder', 'batch_removed') NOT NULL;
+ALTER TABLE notifications ADD CONSTRAINT fk_notifications_recipient FOREIGN KEY (recipient_id) REFERENCES users(user_id) ON DELETE CASCADE;
+ALTER TABLE notifications ADD CONSTRAINT fk_notifications_actor FOREIGN KEY (actor_id) REFERENCES users(user_id) ON DELETE SET NULL;
+CREATE INDEX idx_notifications_recipient ON notifications(recipient_id, is_read, created_at);
+
+-- Create batch_invites table: shareable invite links and short join codes per batch
+-- code holds the link token or the join code (binary collation so link tokens stay case-sensitive)
+CREATE TABLE IF NOT EXISTS batch_invites (
+  invite_id INT AUTO_INCREMENT PRIMARY KEY,
+  batch_id INT NOT NULL,
+  created_by INT NOT NULL,
+  type ENUM('link', 'code') NOT NULL,
+  code VARCHAR(64) CHARACTER SET ascii COLLATE ascii_bin NOT NULL,
+  max_uses INT DEFAULT NULL,
+  use_count INT NOT NULL DEFAULT 0,
+  expires_at DATETIME DEFAULT NULL,
+  revoked_at DATETIME DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (batch_id) REFERENCES batches(batch_id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE CASCADE,
+  UNIQUE KEY unique_batch_invite_code (code),
+  INDEX idx_batch_invites_batch_id (batch_id)
+);
+
+-- Optional approval mode: joins create pending requests the teacher approves or denies
+ALTER TABLE batches ADD COLUMN requires_approval BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Create batch_join_requests table: one row per student and batch, reopened when a denied student asks again
+CREATE TABLE IF NOT EXISTS batch_join_requests (
+  request_id INT AUTO_INCREMENT PRIMARY KEY,
+  batch_id INT NOT NULL,
+  student_id INT NOT NULL,
+  status ENUM('pending', 'approved', 'denied') NOT NULL DEFAULT 'pending',
+  decided_by INT DEFAULT NULL,
+  decided_at DATETIME DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (batch_id) REFERENCES batches(batch_id) ON DELETE CASCADE,
+  FOREIGN KEY (student_id) REFERENCES users(user_id) ON DELETE CASCADE,
+  FOREIGN KEY (decided_by) REFERENCES users(user_id) ON DELETE SET NULL,
+  UNIQUE KEY unique_batch_join_request (batch_id, student_id),
+  INDEX idx_batch_join_requests_status (batch_id, status)
+);
+
+ALTER TABLE notifications MODIFY COLUMN type ENUM('submission', 'announcement', 'batch_join', 'submission_accepted', 'submission_rejected', 'deadline_reminder', 'batch_removed', 'join_request_approved', 'join_request_denied') NOT NULL;
+
+-- Create batch_blocks table: students a teacher has blocked from (re)joining a batch
+CREATE TABLE IF NOT EXISTS batch_blocks (
+  batch_id INT NOT NULL,
+  student_id INT NOT NULL,
+  blocked_by INT DEFAULT NULL,
+  reason VARCHAR(255) DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (batch_id, student_id),
+  FOREIGN KEY (batch_id) REFERENCES batches(batch_id) ON DELETE CASCADE,
+  FOREIGN KEY (student_id) REFERENCES users(user_id) ON DELETE CASCADE,
+  FOREIGN KEY (blocked_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Create batch_roster_invitations table: imported roster rows for emails without an account yet
+-- They are attached (and the student enrolled) on the first googleSignIn or registerUser with that email
+CREATE TABLE IF NOT EXISTS batch_roster_invitations (
+  invitation_id INT AUTO_INCREMENT PRIMARY KEY,
+  batch_id INT NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  name VARCHAR(255) DEFAULT NULL,
+  roll_number VARCHAR(50) DEFAULT NULL,
+  invited_by INT DEFAULT NULL,
+  accepted_user_id INT DEFAULT NULL,
+  accepted_at DATETIME DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (batch_id) REFERENCES batches(batch_id) ON DELETE CASCADE,
+  FOREIGN KEY (invited_by) REFERENCES users(user_id) ON DELETE SET NULL,
+  FOREIGN KEY (accepted_user_id) REFERENCES users(user_id) ON DELETE SET NULL,
+  UNIQUE KEY unique_batch_roster_invitation (batch_id, email),
+  INDEX idx_batch_roster_invitations_email (email)
+);
+
+ALTER TABLE notifications MODIFY COLUMN type ENUM('submission', 'announcement', 'batch_join', 'submission_accepted', 'submission_rejected', 'deadline_reminder', 'batch_removed', 'join_request_approved', 'join_request_denied', 'batch_enrolled') NOT NULL;
+
+-- Create batch_staff table: co-teachers and TAs (the owner stays in batches.teacher_id)
+CREATE TABLE IF NOT EXISTS batch_staff (
+  batch_id INT NOT NULL,
+  user_id INT NOT NULL,
+  role ENUM('co_teacher', 'ta') NOT NULL,
+  added_by INT DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (batch_id, user_id),
+  FOREIGN KEY (batch_id) REFERENCES batches(batch_id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+  FOREIGN KEY (added_by) REFERENCES users(user_id) ON DELETE SET NULL,
+  INDEX idx_batch_staff_user_id (user_id)
+);
+
+-- Batch lifecycle: archived batches are read-only, deleted batches are purged after a grace period
+ALTER TABLE batches ADD COLUMN archived_at TIMESTAMP NULL DEFAULT NULL;
+ALTER TABLE batches ADD COLUMN deleted_at TIMESTAMP NULL DEFAULT NULL;
+ALTER TABLE batches ADD COLUMN deleted_by INT DEFAULT NULL;
+ALTER TABLE batches ADD INDEX idx_batches_deleted_at (deleted_at);
+
+-- Pinned announcements stay at hand for the batch and are copied when a batch is cloned
+ALTER TABLE announcements ADD COLUMN is_pinned BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Create practicals table: what the teacher assigned in a batch (allowed_languages and attachments are JSON arrays)
+CREATE TABLE IF NOT EXISTS practicals (
+  practical_id INT AUTO_INCREMENT PRIMARY KEY,
+  batch_id INT NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  instructions TEXT,
+  due_at DATETIME DEFAULT NULL,
+  allowed_languages JSON DEFAULT NULL,
+  max_marks INT DEFAULT NULL,
+  attachments JSON DEFAULT NULL,
+  created_by INT DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (batch_id) REFERENCES batches(batch_id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL,
+  INDEX idx_practicals_batch_due (batch_id, due_at)
+);
+
+-- Link submissions to the practical they answer (free-text practical_name stays for older submissions)
+ALTER TABLE submissions ADD COLUMN practical_id INT DEFAULT NULL AFTER batch_id;
+ALTER TABLE submissions ADD CONSTRAINT fk_submissions_practical FOREIGN KEY (practical_id) REFERENCES practicals(practical_id) ON DELETE SET NULL;
+ALTER TABLE submissions ADD INDEX idx_submissions_practical_student (practical_id, student_id);
+
+-- Late submission policy per practical: hard_close rejects late work, allow_late flags it,
+-- penalty flags it and deducts late_penalty_per_day percent of the marks for every started day
+ALTER TABLE practicals ADD COLUMN late_policy ENUM('hard_close', 'allow_late', 'penalty') NOT NULL DEFAULT 'allow_late';
+ALTER TABLE practicals ADD COLUMN late_penalty_per_day DECIMAL(5,2) NOT NULL DEFAULT 0;
+
+-- Lateness recorded on each submission when it is created or edited after the due date
+ALTER TABLE submissions ADD COLUMN is_late BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE submissions ADD COLUMN minutes_late INT NOT NULL DEFAULT 0;
+ALTER TABLE submissions ADD COLUMN late_penalty_percent DECIMAL(5,2) NOT NULL DEFAULT 0;
+
+-- Rubric criteria per practical: weight is the criterion's share of the marks,
+-- levels is a JSON array of { label, description, points } descriptors
+CREATE TABLE IF NOT EXISTS practical_rubric_criteria (
+  criterion_id INT AUTO_INCREMENT PRIMARY KEY,
+  practical_id INT NOT NULL,
+  position INT NOT NULL DEFAULT 0,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  weight DECIMAL(6,2) NOT NULL,
+  levels JSON NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (practical_id) REFERENCES practicals(practical_id) ON DELETE CASCADE,
+  INDEX idx_rubric_criteria_practical (practical_id, position)
+);
+
+-- Marks awarded to a submission (before any late penalty, which is applied when read)
+CREATE TABLE IF NOT EXISTS submission_grades (
+  submission_id INT PRIMARY KEY,
+  marks_awarded DECIMAL(7,2) NOT NULL,
+  max_marks DECIMAL(7,2) DEFAULT NULL,
+  graded_by INT DEFAULT NULL,
+  graded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (submission_id) REFERENCES submissions(submission_id) ON DELETE CASCADE,
+  FOREIGN KEY (graded_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Per-criterion scores behind a rubric grade
+CREATE TABLE IF NOT EXISTS submission_criterion_scores (
+  submission_id INT NOT NULL,
+  criterion_id INT NOT NULL,
+  points DECIMAL(6,2) NOT NULL,
+  PRIMARY KEY (submission_id, criterion_id),
+  FOREIGN KEY (submission_id) REFERENCES submissions(submission_id) ON DELETE CASCADE,
+  FOREIGN KEY (criterion_id) REFERENCES practical_rubric_criteria(criterion_id) ON DELETE CASCADE,
+  INDEX idx_criterion_scores_criterion (criterion_id)
+);
+
+ALTER TABLE notifications MODIFY COLUMN type ENUM('submission', 'announcement', 'batch_join', 'submission_accepted', 'submission_rejected', 'deadline_reminder', 'batch_removed', 'join_request_approved', 'join_request_denied', 'batch_enrolled', 'submission_graded') NOT NULL;
+
+-- Review comments on a submission: replies point at the thread's first comment (parent_id),
+-- review_status marks the reason given with an accept or reject, deleted comments keep their place in the thread
+CREATE TABLE IF NOT EXISTS submission_comments (
+  comment_id INT AUTO_INCREMENT PRIMARY KEY,
+  submission_id INT NOT NULL,
+  parent_id INT DEFAULT NULL,
+  author_id INT DEFAULT NULL,
+  body TEXT,
+  review_status ENUM('accepted', 'rejected') DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deleted_at TIMESTAMP NULL DEFAULT NULL,
+  FOREIGN KEY (submission_id) REFERENCES submissions(submission_id) ON DELETE CASCADE,
+  FOREIGN KEY (parent_id) REFERENCES submission_comments(comment_id) ON DELETE CASCADE,
+  FOREIGN KEY (author_id) REFERENCES users(user_id) ON DELETE SET NULL,
+  INDEX idx_submission_comments_submission (submission_id, created_at)
+);
+
+-- Batches can require a reason whenever a submission is rejected
+ALTER TABLE batches ADD COLUMN require_rejection_reason BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE notifications MODIFY COLUMN type ENUM('submission', 'announcement', 'batch_join', 'submission_accepted', 'submission_rejected', 'deadline_reminder', 'batch_removed', 'join_request_approved', 'join_request_denied', 'batch_enrolled', 'submission_graded', 'submission_comment') NOT NULL;
+
+-- Inline review comments are anchored to lines of the submitted code. anchor_text keeps the lines
+-- so the comment can follow them into an edited version, is_outdated is set once they are gone
+ALTER TABLE submission_comments ADD COLUMN line_start INT DEFAULT NULL;
+ALTER TABLE submission_comments ADD COLUMN line_end INT DEFAULT NULL;
+ALTER TABLE submission_comments ADD COLUMN anchor_text TEXT;
+ALTER TABLE submission_comments ADD COLUMN is_outdated BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Review cycle: staff can ask for changes, which reopens the submission for a resubmission.
+-- Every submission and resubmission uses one of the practical's max_attempts (NULL means unlimited)
+ALTER TABLE submissions MODIFY COLUMN status ENUM('pending', 'accepted', 'rejected', 'changes_requested') DEFAULT 'pending';
+ALTER TABLE submissions ADD COLUMN resubmission_count INT NOT NULL DEFAULT 0;
+ALTER TABLE practicals ADD COLUMN max_attempts INT DEFAULT NULL;
+ALTER TABLE submission_comments MODIFY COLUMN review_status ENUM('accepted', 'rejected', 'changes_requested') DEFAULT NULL;
+
+ALTER TABLE notifications MODIFY COLUMN type ENUM('submission', 'announcement', 'batch_join', 'submission_accepted', 'submission_rejected', 'deadline_reminder', 'batch_removed', 'join_request_approved', 'join_request_denied', 'batch_enrolled', 'submission_graded', 'submission_comment', 'submission_changes_requested') NOT NULL;
+
+-- Immutable history of a submission: version 1 is the original, every edit or resubmission adds the next one.
+-- reviewed_version is the version staff last accepted, rejected or sent back, so they can diff against it
+CREATE TABLE IF NOT EXISTS submission_versions (
+  version_id INT AUTO_INCREMENT PRIMARY KEY,
+  submission_id INT NOT NULL,
+  version_number INT NOT NULL,
+  kind ENUM('original', 'edit', 'resubmission') NOT NULL,
+  practical_name VARCHAR(255),
+  content MEDIUMTEXT,
+  file_url TEXT,
+  code_sandbox_link TEXT,
+  code_language VARCHAR(50),
+  created_by INT DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (submission_id) REFERENCES submissions(submission_id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL,
+  UNIQUE KEY unique_submission_version (submission_id, version_number)
+);
+
+ALTER TABLE submissions ADD COLUMN reviewed_version INT DEFAULT NULL;
+
+-- Existing submissions start their history with their current content
+INSERT INTO submission_versions (submission_id, version_number, kind, practical_name, content, file_url, code_sandbox_link, code_language, created_by, created_at)
+SELECT s.submission_id, 1, 'original', s.practical_name, s.content, s.file_url, s.code_sandbox_link, s.code_language, s.student_id, COALESCE(s.updated_at, s.created_at)
+FROM submissions s
+WHERE NOT EXISTS (SELECT 1 FROM submission_versions v WHERE v.submission_id = s.submission_id);
+
+-- Deadline reminders: set once students have been reminded, cleared when due_at changes
+ALTER TABLE practicals ADD COLUMN reminder_sent_at TIMESTAMP NULL DEFAULT NULL;
+
+-- Whether the account's email is verified, refreshed from the Firebase token on every sign-in
+-- Roster imports only enroll existing accounts whose email is verified
+ALTER TABLE users ADD COLUMN email_verified BOOLEAN NOT NULL DEFAULT FALSE;
+
 -- Show current table structures for verification
 DESCRIBE users;
 DESCRIBE student_profiles;
@@ -109,3 +400,5 @@ DESCRIBE announcements;
 DESCRIBE announcement_reads;
 DESCRIBE notifications;
 DESCRIBE notification_settings;
+DESCRIBE user_sessions;
+DESCRIBE session_refresh_tokens;
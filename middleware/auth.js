@@ -1,11 +1,69 @@
 const jwt = require('jsonwebtoken');
+const { verifyIdToken } = require('../utils/firebaseAuth');
+const { isSessionActive } = require('../utils/sessionService');
+
+/**
+ * Verify an access token and check its session against the revocation list
+ * Shared by the HTTP middleware and the Socket.IO handshake
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object>} { user } on success, otherwise { status, message, error? }
+ */
+const verifyAccessToken = async (token) => {
+  // Ensure JWT_SECRET is set for security
+  const jwtSecret = process.env.JWT_SECRET;
+  if (!jwtSecret) {
+    console.error('❌ JWT_SECRET environment variable is not set');
+    return { status: 500, message: 'Server configuration error' };
+  }
+
+  let user;
+  try {
+    user = jwt.verify(token, jwtSecret);
+  } catch (err) {
+    return {
+      status: 403,
+      message: 'Invalid or expired token',
+      ...(err.name === 'TokenExpiredError' && { error: 'TOKEN_EXPIRED' })
+    };
+  }
+
+  // Access tokens must belong to a session so logout can revoke them
+  if (!user.sid) {
+    return {
+      status: 401,
+      message: 'Session required. Please sign in again.',
+      error: 'SESSION_REQUIRED'
+    };
+  }
+
+  try {
+    const active = await isSessionActive(user.sid, user.userId);
+    if (!active) {
+      return {
+        status: 401,
+        message: 'Session has been revoked. Please sign in again.',
+        error: 'SESSION_REVOKED'
+      };
+    }
+  } catch (error) {
+    console.error('❌ Session revocation check failed:', error.message);
+    return {
+      status: 503,
+      message: 'Database temporarily unavailable. Please try again later.',
+      error: 'DATABASE_UNAVAILABLE'
+    };
+  }
+
+  return { user };
+};
 
 /**
  * JWT Authentication Middleware
  * Verifies JWT tokens from Authorization header or cookies
+ * Rejects tokens whose session has been revoked (logout, sign out everywhere, refresh token reuse)
  * Protects routes that require authentication
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   // Try to get token from Authorization header first
   const authHeader = req.headers['authorization'];
   let token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -28,29 +86,111 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
-  // Ensure JWT_SECRET is set for security
-  const jwtSecret = process.env.JWT_SECRET;
-  if (!jwtSecret) {
-    console.error('❌ JWT_SECRET environment variable is not set');
-    return res.status(500).json({
+  const { user, status, message, error } = await verifyAccessToken(token);
+  if (!user) {
+    return res.status(status).json({
       success: false,
-      message: 'Server configuration error'
+      message,
+      ...(error && { error })
     });
   }
 
-  jwt.verify(token, jwtSecret, (err, user) => {
-    if (err) {
-      return res.status(403).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
+  req.user = user;
+  next();
+};
+
+/**
+ * Read a cookie from a raw Cookie header
+ * Socket.IO handshakes do not go through cookie-parser
+ * @param {string} cookieHeader - Raw Cookie header
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+const readCookie = (cookieHeader, name) => {
+  if (!cookieHeader) {
+    return null;
+  }
+
+  const pair = cookieHeader
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+
+  return pair ? decodeURIComponent(pair.substring(name.length + 1)) : null;
+};
+
+/**
+ * Socket.IO Handshake Authentication Middleware
+ * Accepts the access token from `auth.token`, a Bearer Authorization header or the authToken cookie
+ * Rejected handshakes surface on the client as connect_error with err.data.error set
+ * On success the verified claims are available as socket.data.user
+ */
+const authenticateSocket = async (socket, next) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  const authHeader = headers.authorization;
+  const token = auth.token
+    || (authHeader && authHeader.split(' ')[1])
+    || readCookie(headers.cookie, 'authToken')
+    || readCookie(headers.cookie, 'access_token');
+
+  const reject = (message, error) => {
+    console.log(`❌ Socket handshake rejected (${error}):`, socket.id);
+    const err = new Error(message);
+    err.data = { error };
+    next(err);
+  };
+
+  if (!token) {
+    return reject('Access token required', 'TOKEN_REQUIRED');
+  }
+
+  const { user, message, error } = await verifyAccessToken(token);
+  if (!user) {
+    return reject(message, error || 'INVALID_TOKEN');
+  }
+
+  socket.data.user = user;
+  next();
+};
+
+/**
+ * Firebase ID Token Middleware
+ * Verifies the Firebase ID token sent as `idToken` in the body or as a Bearer token
+ * Exposes the verified identity as req.firebaseUser so controllers never trust client-sent uids
+ */
+const verifyFirebaseToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const idToken = req.body?.idToken || (authHeader && authHeader.split(' ')[1]);
+
+  if (!idToken) {
+    return res.status(401).json({
+      success: false,
+      message: 'Firebase ID token required'
+    });
+  }
+
+  try {
+    req.firebaseUser = await verifyIdToken(idToken);
+  } catch (error) {
+    console.error('❌ Firebase token verification failed:', error.code || error.message);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired Firebase ID token'
+    });
+  }
+
+  if (!req.firebaseUser.email) {
+    return res.status(400).json({
+      success: false,
+      message: 'Firebase account has no email address'
+    });
+  }
 
-    req.user = user;
-    next();
-  });
+  next();
 };
 
 module.exports = {
-  authenticateToken
+  authenticateToken,
+  authenticateSocket,
+  verifyFirebaseToken
 };
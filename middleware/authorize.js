@@ -0,0 +1,338 @@
+const { executeQuery } = require('../utils/database');
+
+/**
+ * Authorization Policy Middleware
+ * Resource-ownership guards applied in route files alongside requireRole
+ * Each guard loads the resource once, checks the caller's relation to it and
+ * exposes the result on req (req.batchAccess, req.submissionAccess, req.announcementAccess)
+ * so controllers never repeat authorization checks.
+ *
+ * Relations:
+ * - batch:        'owner' (teacher who owns it), 'coTeacher' / 'ta' (batch_staff rows),
+ *                 'member' (enrolled student)
+ * - submission:   'author' (student who submitted), 'batchOwner' (owner of its batch),
+ *                 'batchStaff' (owner, co-teacher or TA of its batch)
+ * - announcement: 'author' (staff member who posted), 'batchMember' (student enrolled in its batch),
+ *                 'batchManager' (owner or co-teacher of its batch)
+ *
+ * Permission levels (see BATCH_STAFF / BATCH_MANAGERS):
+ * - owner:     everything, including deleting the batch, managing staff and transferring ownership
+ * - coTeacher: batch settings, roster, invites and join requests, plus everything a TA can do
+ * - ta:        review submissions and post announcements
+ *
+ * Batch lifecycle (utils/batchLifecycleService.js): soft-deleted batches and everything in them
+ * are reported as not found, and guards created with { writable: true } reject archived
+ * (read-only) batches with 409 BATCH_ARCHIVED.
+ */
+
+// Staff roles stored in batch_staff, mapped to their relation names
+const STAFF_ROLE_RELATIONS = {
+  co_teacher: 'coTeacher',
+  ta: 'ta'
+};
+
+// Relation groups used by routes
+const BATCH_STAFF = ['owner', 'coTeacher', 'ta'];
+const BATCH_MANAGERS = ['owner', 'coTeacher'];
+
+/**
+ * ID extractors for guards
+ */
+const fromParams = (name) => (req) => req.params[name];
+const fromBody = (name) => (req) => req.body?.[name];
+const fromQuery = (name) => (req) => req.query[name];
+
+const sameUser = (a, b) => Number(a) === Number(b);
+
+/**
+ * Reject a write to an archived batch
+ * @param {Object} res - Express response object
+ */
+const sendBatchArchived = (res) => res.status(409).json({
+  success: false,
+  message: 'This batch is archived and read-only',
+  error: 'BATCH_ARCHIVED'
+});
+
+const isBatchMember = async (batchId, userId) => {
+  const rows = await executeQuery(
+    'SELECT 1 FROM batch_members WHERE batch_id = ? AND student_id = ?',
+    [batchId, userId]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Work out a teacher's staff relation to a batch
+ * @param {Object} batch - Batch row ({ batch_id, teacher_id })
+ * @param {number} userId - Teacher's user ID
+ * @returns {Promise<string|null>} 'owner', 'coTeacher', 'ta' or null
+ */
+const getStaffRelation = async (batch, userId) => {
+  if (sameUser(batch.teacher_id, userId)) {
+    return 'owner';
+  }
+
+  const staff = await executeQuery(
+    'SELECT role FROM batch_staff WHERE batch_id = ? AND user_id = ?',
+    [batch.batch_id, userId]
+  );
+  return staff.length > 0 ? STAFF_ROLE_RELATIONS[staff[0].role] : null;
+};
+
+/**
+ * Work out the caller's relation to a batch
+ * @param {Object} batch - Batch row ({ batch_id, teacher_id })
+ * @param {Object} user - { userId, role }
+ * @param {string[]} relations - Accepted relations ('owner', 'coTeacher', 'ta', 'member')
+ * @returns {Promise<string|null>} Matching relation or null
+ */
+const resolveBatchRelation = async (batch, { userId, role }, relations) => {
+  if (role === 'teacher' && relations.some(relation => BATCH_STAFF.includes(relation))) {
+    const relation = await getStaffRelation(batch, userId);
+    return relations.includes(relation) ? relation : null;
+  }
+  if (relations.includes('member') && role === 'student' && await isBatchMember(batch.batch_id, userId)) {
+    return 'member';
+  }
+  return null;
+};
+
+/**
+ * Load a batch and the caller's relation to it (used outside Express, e.g. Socket.IO room joins)
+ * @param {number} batchId - Batch ID
+ * @param {Object} user - { userId, role }
+ * @param {string[]} relations - Accepted relations
+ * @param {Object} options - { includeDeleted } also load soft-deleted batches (e.g. to restore one)
+ * @returns {Promise<Object>} { batch, relation } (batch is null when it does not exist or was deleted)
+ */
+const getBatchAccess = async (batchId, user, relations = [...BATCH_STAFF, 'member'], { includeDeleted = false } = {}) => {
+  const batches = await executeQuery(
+    'SELECT batch_id, teacher_id, name, archived_at, deleted_at FROM batches WHERE batch_id = ?',
+    [batchId]
+  );
+
+  if (batches.length === 0 || (batches[0].deleted_at && !includeDeleted)) {
+    return { batch: null, relation: null };
+  }
+
+  return { batch: batches[0], relation: await resolveBatchRelation(batches[0], user, relations) };
+};
+
+/**
+ * Require the caller to have one of the given relations to a batch
+ * @param {string[]} relations - Accepted relations ('owner', 'coTeacher', 'ta', 'member')
+ * @param {Function} getBatchId - (req) => batch ID
+ * @param {Object} options - { message } custom 403 message, { writable } reject archived batches,
+ *                           { includeDeleted } accept soft-deleted batches
+ */
+const authorizeBatch = (relations, getBatchId, { message = 'Access denied to this batch', writable = false, includeDeleted = false } = {}) => {
+  return async (req, res, next) => {
+    const batchId = parseInt(getBatchId(req));
+
+    if (isNaN(batchId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid batch ID is required'
+      });
+    }
+
+    try {
+      const { batch, relation } = await getBatchAccess(batchId, req.user, relations, { includeDeleted });
+
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          message: 'Batch not found'
+        });
+      }
+
+      if (!relation) {
+        return res.status(403).json({
+          success: false,
+          message
+        });
+      }
+
+      if (writable && batch.archived_at) {
+        return sendBatchArchived(res);
+      }
+
+      req.batchAccess = { batch, relation };
+      next();
+    } catch (error) {
+      console.error('Batch authorization error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  };
+};
+
+/**
+ * Require the caller to have one of the given relations to a submission
+ * @param {string[]} relations - Accepted relations ('author', 'batchOwner', 'batchStaff')
+ * @param {Function} getSubmissionId - (req) => submission ID
+ * @param {Object} options - { writable } reject submissions in archived batches
+ */
+const authorizeSubmission = (relations, getSubmissionId, { writable = false } = {}) => {
+  return async (req, res, next) => {
+    const submissionId = parseInt(getSubmissionId(req));
+    const { userId, role } = req.user;
+
+    if (isNaN(submissionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid submission ID is required'
+      });
+    }
+
+    try {
+      const submissions = await executeQuery(`
+        SELECT s.submission_id, s.batch_id, s.practical_id, s.student_id, s.status, s.resubmission_count, b.teacher_id, b.archived_at
+        FROM submissions s
+        JOIN batches b ON s.batch_id = b.batch_id
+        WHERE s.submission_id = ? AND b.deleted_at IS NULL
+      `, [submissionId]);
+
+      if (submissions.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Submission not found'
+        });
+      }
+
+      const submission = submissions[0];
+      let relation = null;
+
+      if (relations.includes('author') && role === 'student' && sameUser(submission.student_id, userId)) {
+        relation = 'author';
+      } else if (relations.includes('batchOwner') && role === 'teacher' && sameUser(submission.teacher_id, userId)) {
+        relation = 'batchOwner';
+      } else if (relations.includes('batchStaff') && role === 'teacher' &&
+        await getStaffRelation({ batch_id: submission.batch_id, teacher_id: submission.teacher_id }, userId)) {
+        relation = 'batchStaff';
+      }
+
+      if (!relation) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied to this submission'
+        });
+      }
+
+      if (writable && submission.archived_at) {
+        return sendBatchArchived(res);
+      }
+
+      req.submissionAccess = { submission, relation };
+      next();
+    } catch (error) {
+      console.error('Submission authorization error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  };
+};
+
+/**
+ * Require the caller to have one of the given relations to an announcement
+ * @param {string[]} relations - Accepted relations ('author', 'batchMember', 'batchManager')
+ * @param {Function} getAnnouncementId - (req) => announcement ID
+ * @param {Object} options - { writable } reject announcements in archived batches
+ */
+const authorizeAnnouncement = (relations, getAnnouncementId, { writable = false } = {}) => {
+  return async (req, res, next) => {
+    const announcementId = parseInt(getAnnouncementId(req));
+    const { userId, role } = req.user;
+
+    if (isNaN(announcementId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Announcement ID must be a valid number'
+      });
+    }
+
+    try {
+      const announcements = await executeQuery(`
+        SELECT a.announcement_id, a.batch_id, a.teacher_id, b.teacher_id as batch_teacher_id, b.archived_at
+        FROM announcements a
+        JOIN batches b ON a.batch_id = b.batch_id
+        WHERE a.announcement_id = ? AND b.deleted_at IS NULL
+      `, [announcementId]);
+
+      if (announcements.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Announcement not found'
+        });
+      }
+
+      const announcement = announcements[0];
+      let relation = null;
+
+      if (relations.includes('author') && role === 'teacher' && sameUser(announcement.teacher_id, userId)) {
+        relation = 'author';
+      } else if (relations.includes('batchMember') && role === 'student' && await isBatchMember(announcement.batch_id, userId)) {
+        relation = 'batchMember';
+      } else if (relations.includes('batchManager') && role === 'teacher' && BATCH_MANAGERS.includes(
+        await getStaffRelation({ batch_id: announcement.batch_id, teacher_id: announcement.batch_teacher_id }, userId)
+      )) {
+        relation = 'batchManager';
+      }
+
+      if (!relation) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied to this announcement'
+        });
+      }
+
+      if (writable && announcement.archived_at) {
+        return sendBatchArchived(res);
+      }
+
+      req.announcementAccess = { announcement, relation };
+      next();
+    } catch (error) {
+      console.error('Announcement authorization error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  };
+};
+
+/**
+ * Require a user ID in the request to be the caller's own
+ * @param {Function} getUserId - (req) => user ID the route acts on
+ * @param {Object} options - { message } custom 403 message
+ */
+const requireSelf = (getUserId, { message = 'Access denied: You can only access your own data' } = {}) => {
+  return (req, res, next) => {
+    if (!sameUser(getUserId(req), req.user?.userId)) {
+      return res.status(403).json({
+        success: false,
+        message
+      });
+    }
+    next();
+  };
+};
+
+module.exports = {
+  BATCH_STAFF,
+  BATCH_MANAGERS,
+  fromParams,
+  fromBody,
+  fromQuery,
+  getBatchAccess,
+  authorizeBatch,
+  authorizeSubmission,
+  authorizeAnnouncement,
+  requireSelf
+};
@@ -1,5 +1,8 @@
 const rateLimit = require('express-rate-limit');
 const { body, param, query, validationResult } = require('express-validator');
+const { NOTIFICATION_TYPES } = require('../utils/notificationService');
+const { LATE_POLICIES } = require('../utils/practicalService');
+const { REVIEW_STATUSES } = require('../utils/submissionReviewService');
 
 /**
  * Security and Validation Middleware
@@ -98,6 +101,12 @@ const uploadRateLimit = createRateLimit(
   'Too many file uploads, please try again later'
 );
 
+const joinCodeRateLimit = createRateLimit(
+  15 * 60 * 1000, // 15 minutes
+  10, // 10 join attempts per 15 minutes (join codes are short)
+  'Too many join attempts, please try again later'
+);
+
 /**
  * Validation error handler
  * Processes validation results and returns formatted errors
@@ -108,7 +117,7 @@ const handleValidationErrors = (req, res, next) => {
     return res.status(400).json({
       success: false,
       message: 'Validation errors',
-      errors: errors.array().map(error => ({
+      errors: errors.array({ onlyFirstError: true }).map(error => ({
         field: error.path,
         message: error.msg,
         value: error.value
@@ -120,13 +129,9 @@ const handleValidationErrors = (req, res, next) => {
 
 /**
  * User registration validation
+ * Email and Firebase UID come from the verified ID token, not the body
  */
 const validateRegistration = [
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid email address'),
-  
   body('name')
     .trim()
     .isLength({ min: 2, max: 50 })
@@ -137,26 +142,18 @@ const validateRegistration = [
     .isIn(['student', 'teacher'])
     .withMessage('Role must be either student or teacher'),
   
-  body('firebaseUid')
-    .isLength({ min: 1 })
-    .withMessage('Firebase UID is required'),
-  
   handleValidationErrors
 ];
 
 /**
  * User login validation
- * Note: Password validation is handled by Firebase, not our backend
+ * Note: Password validation is handled by Firebase, not our backend;
+ * identity comes from the verified ID token
  */
 const validateLogin = [
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid email address'),
-  
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
+  body('role')
+    .isIn(['student', 'teacher', 'admin'])
+    .withMessage('Role must be student, teacher or admin'),
   
   handleValidationErrors
 ];
@@ -299,55 +296,667 @@ const validateProfileUpdate = [
   }
 ];
 
+/**
+ * Positive integer route parameter validation
+ * @param {string} name - Route parameter name (e.g. 'batchId')
+ * @param {string} label - Human readable name used in the error message
+ */
+const validateParamId = (name, label) => [
+  param(name)
+    .isInt({ min: 1 })
+    .withMessage(`${label} must be a positive integer`)
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Optional URL field (empty string is treated as "not provided")
+ */
+const optionalUrl = (field, label) =>
+  body(field)
+    .optional({ values: 'falsy' })
+    .trim()
+    .isURL({ require_protocol: true })
+    .withMessage(`${label} must be a valid URL`)
+    .isLength({ max: 500 })
+    .withMessage(`${label} must be less than 500 characters`);
+
 /**
  * Batch creation validation
  */
 const validateBatchCreation = [
-  body('name')
+  body('name', 'Batch name must be 3-100 characters')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 100 }),
+  
+  body('collegeName', 'College name must be 2-100 characters')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 }),
+  
+  body('description', 'Description must be less than 500 characters')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 }),
+  
+  body('password', 'Batch password must be 4-100 characters')
+    .isString()
+    .isLength({ min: 4, max: 100 }),
+  
+  body(['iconImage', 'coverImage'], 'Batch images must be base64 or URL strings')
+    .optional({ values: 'null' })
+    .isString(),
+  
+  body('requiresApproval', 'requiresApproval must be a boolean')
+    .optional()
+    .isBoolean({ strict: true }),
+  
+  body('requireRejectionReason', 'requireRejectionReason must be a boolean')
+    .optional()
+    .isBoolean({ strict: true }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Batch update validation
+ * All fields optional; the controller rejects an empty update
+ */
+const validateBatchUpdate = [
+  body('name', 'Batch name must be 3-100 characters')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 100 }),
+  
+  body('collegeName', 'College name must be 2-100 characters')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 }),
+  
+  body('description', 'Description must be less than 500 characters')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 }),
+  
+  body(['iconImage', 'coverImage'], 'Batch images must be base64 or URL strings')
+    .optional({ values: 'null' })
+    .isString(),
+  
+  body('requiresApproval', 'requiresApproval must be a boolean')
+    .optional()
+    .isBoolean({ strict: true }),
+  
+  body('requireRejectionReason', 'requireRejectionReason must be a boolean')
+    .optional()
+    .isBoolean({ strict: true }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Batch clone validation
+ * Every field is optional; omitted ones are taken from the source batch
+ * and a password is generated when none is given
+ */
+const validateBatchClone = [
+  body('name', 'Batch name must be 3-100 characters')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 100 }),
+  
+  body('collegeName', 'College name must be 2-100 characters')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 }),
+  
+  body('description', 'Description must be less than 500 characters')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 }),
+  
+  body('password', 'Batch password must be 4-100 characters')
+    .optional()
+    .isString()
+    .isLength({ min: 4, max: 100 }),
+  
+  body('requiresApproval', 'requiresApproval must be a boolean')
+    .optional()
+    .isBoolean({ strict: true }),
+  
+  body('requireRejectionReason', 'requireRejectionReason must be a boolean')
+    .optional()
+    .isBoolean({ strict: true }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Join batch validation
+ */
+const validateBatchJoin = [
+  body('batchId')
+    .isInt({ min: 1 })
+    .withMessage('Valid batch ID is required')
+    .toInt(),
+  
+  body('password', 'Batch password is required')
+    .isString()
+    .notEmpty(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Batch invite creation validation
+ * Omitting expiresInHours or maxUses creates an invite without that limit
+ */
+const validateInviteCreation = [
+  body('type')
+    .optional()
+    .isIn(['link', 'code'])
+    .withMessage('Invite type must be "link" or "code"'),
+  
+  body('expiresInHours')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Expiry must be between 1 and 720 hours')
+    .toInt(),
+  
+  body('maxUses')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Max uses must be between 1 and 1000')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Join request listing validation
+ */
+const validateJoinRequestQuery = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'denied', 'all'])
+    .withMessage('Status must be pending, approved, denied or all'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Batch roster listing validation
+ */
+const validateRosterQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Page must be between 1 and 1000'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  query('search', 'Search must be at most 100 characters')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 }),
+  
+  query('sort')
+    .optional()
+    .isIn(['name', 'roll_number', 'joined_at', 'submissions'])
+    .withMessage('Sort must be name, roll_number, joined_at or submissions'),
+  
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be asc or desc'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Batch browse query validation
+ * cursor is the opaque nextCursor from the previous page
+ */
+const validateBrowseQuery = [
+  query('search', 'Search must be at most 100 characters')
+    .optional()
+    .isString()
     .trim()
-    .isLength({ min: 3, max: 100 })
-    .matches(/^[a-zA-Z0-9\s\-_]+$/)
-    .withMessage('Batch name must be 3-100 characters and contain only letters, numbers, spaces, hyphens, and underscores'),
+    .isLength({ max: 100 }),
   
-  body('description')
+  query('college', 'College must be at most 100 characters')
     .optional()
+    .isString()
     .trim()
+    .isLength({ max: 100 }),
+  
+  query('teacherId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Teacher ID must be a positive integer')
+    .toInt(),
+  
+  query('sort')
+    .optional()
+    .isIn(['newest', 'members'])
+    .withMessage('Sort must be newest or members'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+  
+  query('cursor', 'Invalid cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 200 }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Block student validation
+ */
+const validateBlockStudent = [
+  body('studentId')
+    .isInt({ min: 1 })
+    .withMessage('Valid student ID is required')
+    .toInt(),
+  
+  body('reason', 'Reason must be at most 255 characters')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 255 }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Roster import validation
+ * Accepts a raw text/csv body or JSON { csv }; a raw body is moved to req.body.csv
+ */
+const validateRosterImport = [
+  (req, res, next) => {
+    if (typeof req.body === 'string') {
+      req.body = { csv: req.body };
+    }
+    next();
+  },
+  
+  body('csv', 'CSV content is required (at most 1MB)')
+    .isString()
+    .notEmpty()
+    .isLength({ max: 1024 * 1024 }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Batch staff validation (add co-teacher or TA)
+ */
+const STAFF_ROLES = ['co_teacher', 'ta'];
+
+const validateStaffAddition = [
+  body('email', 'Valid email is required')
+    .isString()
+    .trim()
+    .isEmail(),
+  
+  body('role', `Role must be one of: ${STAFF_ROLES.join(', ')}`)
+    .isIn(STAFF_ROLES),
+  
+  handleValidationErrors
+];
+
+/**
+ * Batch staff role change validation
+ */
+const validateStaffRoleUpdate = [
+  body('role', `Role must be one of: ${STAFF_ROLES.join(', ')}`)
+    .isIn(STAFF_ROLES),
+  
+  handleValidationErrors
+];
+
+/**
+ * Batch ownership transfer validation
+ */
+const validateOwnershipTransfer = [
+  body('email', 'Valid email is required')
+    .isString()
+    .trim()
+    .isEmail(),
+  
+  body('keepAsCoTeacher', 'keepAsCoTeacher must be a boolean')
+    .optional()
+    .isBoolean({ strict: true }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Join-by-code validation (invite link token or join code)
+ */
+const validateJoinByCode = [
+  body('code', 'Invite code is required')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 64 }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Practical fields shared by create and update (all optional; null clears a field)
+ */
+const practicalDetailRules = [
+  body('instructions', 'Instructions must be less than 20000 characters')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 20000 }),
+  
+  body('dueAt', 'Due date must be an ISO 8601 date')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .toDate(),
+  
+  body('allowedLanguages', 'Allowed languages must be a list of at most 20 languages')
+    .optional({ values: 'null' })
+    .isArray({ max: 20 }),
+  
+  body('allowedLanguages.*', 'Each language must be 1-50 characters')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 }),
+  
+  body('maxMarks', 'Max marks must be between 0 and 1000')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 1000 })
+    .toInt(),
+  
+  body('maxAttempts', 'Max attempts must be between 1 and 100')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 100 })
+    .toInt(),
+  
+  body('latePolicy', `Late policy must be one of: ${LATE_POLICIES.join(', ')}`)
+    .optional()
+    .isIn(LATE_POLICIES),
+  
+  body('latePenaltyPerDay', 'Late penalty per day must be a percentage between 0 and 100')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .toFloat(),
+  
+  body('attachments', 'Attachments must be a list of at most 10 { name, url } items')
+    .optional({ values: 'null' })
+    .isArray({ max: 10 }),
+  
+  body('attachments.*.name', 'Attachment name must be 1-255 characters')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 }),
+  
+  body('attachments.*.url', 'Attachment URL must be a valid URL (max 500 characters)')
+    .isURL({ require_protocol: true })
     .isLength({ max: 500 })
-    .withMessage('Description must be less than 500 characters'),
+];
+
+/**
+ * Practical creation validation
+ */
+const validatePracticalCreation = [
+  body('title', 'Title must be 1-255 characters')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 }),
+  
+  ...practicalDetailRules,
   
-  body('code')
+  handleValidationErrors
+];
+
+/**
+ * Practical update validation
+ */
+const validatePracticalUpdate = [
+  body('title', 'Title must be 1-255 characters')
     .optional()
+    .isString()
     .trim()
-    .matches(/^[A-Z0-9]{6,10}$/)
-    .withMessage('Batch code must be 6-10 uppercase letters and numbers'),
+    .isLength({ min: 1, max: 255 }),
+  
+  ...practicalDetailRules,
   
   handleValidationErrors
 ];
 
+/**
+ * Practical rubric validation (the whole rubric is replaced; an empty list removes it)
+ */
+const validateRubric = [
+  body('criteria', 'Criteria must be a list of at most 20 criteria')
+    .isArray({ max: 20 }),
+  
+  body('criteria.*.title', 'Criterion title must be 1-255 characters')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 }),
+  
+  body('criteria.*.description', 'Criterion description must be less than 2000 characters')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 2000 }),
+  
+  body('criteria.*.weight', 'Criterion weight must be between 0.01 and 1000')
+    .isFloat({ min: 0.01, max: 1000 })
+    .toFloat(),
+  
+  body('criteria.*.levels', 'Each criterion needs 1-10 levels, at least one worth more than 0 points')
+    .isArray({ min: 1, max: 10 })
+    .custom(levels => levels.some(level => Number(level?.points) > 0)),
+  
+  body('criteria.*.levels.*.label', 'Level label must be 1-100 characters')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 }),
+  
+  body('criteria.*.levels.*.description', 'Level description must be less than 1000 characters')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 }),
+  
+  body('criteria.*.levels.*.points', 'Level points must be between 0 and 1000')
+    .isFloat({ min: 0, max: 1000 })
+    .toFloat(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Submission content fields shared by create and edit
+ */
+const submissionContentRules = [
+  body('content', 'Content is required and must be less than 50000 characters')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50000 }),
+  
+  body('fileUrl', 'File URL must be a string')
+    .optional({ values: 'falsy' })
+    .isString(),
+  
+  optionalUrl('codeSandboxLink', 'Code sandbox link'),
+  
+  body('codeLanguage', 'Code language must be less than 50 characters')
+    .optional({ values: 'falsy' })
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+];
+
 /**
  * Submission creation validation
  */
 const validateSubmissionCreation = [
-  body('title')
+  body('batchId')
+    .isInt({ min: 1 })
+    .withMessage('Valid batch ID is required')
+    .toInt(),
+  
+  body('practicalId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Practical ID must be a positive integer')
+    .toInt(),
+  
+  // The practical's title is used when the submission is linked to a practical
+  body('practicalName', 'Practical name is required and must be less than 255 characters')
+    .if(body('practicalId').not().exists({ values: 'null' }))
+    .isString()
     .trim()
-    .isLength({ min: 3, max: 200 })
-    .withMessage('Title must be 3-200 characters'),
+    .isLength({ min: 1, max: 255 }),
+  
+  ...submissionContentRules,
   
-  body('description')
+  handleValidationErrors
+];
+
+/**
+ * Submission edit validation
+ */
+const validateSubmissionUpdate = [
+  // Optional: omitted (or linked to a practical) keeps the current name
+  body('practicalName', 'Practical name must be less than 255 characters')
     .optional()
+    .isString()
     .trim()
-    .isLength({ max: 1000 })
-    .withMessage('Description must be less than 1000 characters'),
+    .isLength({ min: 1, max: 255 }),
   
-  body('batchId')
+  ...submissionContentRules,
+  
+  handleValidationErrors
+];
+
+/**
+ * Submission review validation
+ */
+const validateSubmissionStatus = [
+  body('status')
+    .isIn(REVIEW_STATUSES)
+    .withMessage(`Status must be one of: ${REVIEW_STATUSES.join(', ')}`),
+  
+  body('reason', 'Reason must be less than 2000 characters')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 2000 }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Submission grading validation
+ * marks for practicals without a rubric, scores ({ criterionId, points } per criterion) for rubric grading
+ */
+const validateSubmissionGrade = [
+  body('marks', 'Marks must be between 0 and 1000')
+    .optional()
+    .isFloat({ min: 0, max: 1000 })
+    .toFloat(),
+  
+  body('scores', 'Scores must be a list of at most 20 criterion scores')
+    .optional()
+    .isArray({ min: 1, max: 20 }),
+  
+  body('scores.*.criterionId', 'Criterion ID must be a positive integer')
+    .isInt({ min: 1 })
+    .toInt(),
+  
+  body('scores.*.points', 'Points must be between 0 and 1000')
+    .isFloat({ min: 0, max: 1000 })
+    .toFloat(),
+  
+  body()
+    .custom(grade => (grade.marks === undefined) !== (grade.scores === undefined))
+    .withMessage('Send either marks or rubric scores'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Submission comment validation
+ * lineStart/lineEnd anchor a new thread to lines of the code; replies follow their thread
+ */
+const validateSubmissionComment = [
+  body('body', 'Comment must be 1-5000 characters')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 5000 }),
+  
+  body('parentId')
+    .optional({ values: 'null' })
     .isInt({ min: 1 })
-    .withMessage('Valid batch ID is required'),
+    .withMessage('Parent comment ID must be a positive integer')
+    .toInt(),
   
-  body('content')
+  body('lineStart')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Start line must be a positive integer')
+    .toInt()
+    .custom((lineStart, { req }) => !req.body.parentId)
+    .withMessage('Replies cannot be anchored to lines'),
+  
+  body('lineEnd')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('End line must be a positive integer')
+    .toInt()
+    .custom((lineEnd, { req }) => req.body.lineStart && lineEnd >= req.body.lineStart)
+    .withMessage('End line needs a start line and cannot come before it'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Submission version diff query validation
+ */
+const validateVersionDiffQuery = [
+  query(['from', 'to'], 'Versions must be positive integers')
+    .optional()
+    .isInt({ min: 1 })
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Explore feed query validation
+ */
+const validateExploreQuery = [
+  query('batchName', 'Batch name filter must be less than 100 characters')
     .optional()
+    .isString()
     .trim()
-    .isLength({ max: 5000 })
-    .withMessage('Content must be less than 5000 characters'),
+    .isLength({ max: 100 }),
   
   handleValidationErrors
 ];
@@ -358,43 +967,226 @@ const validateSubmissionCreation = [
 const validateAnnouncement = [
   body('batch_id')
     .isInt({ min: 1 })
-    .withMessage('Valid batch ID is required'),
+    .withMessage('Valid batch ID is required')
+    .toInt(),
   
-  body('message')
+  body('message', 'Message must be 1-1000 characters')
+    .isString()
     .trim()
-    .isLength({ min: 1, max: 1000 })
-    .withMessage('Message must be 1-1000 characters'),
+    .isLength({ min: 1, max: 1000 }),
+  
+  body('is_pinned', 'is_pinned must be a boolean')
+    .optional()
+    .isBoolean({ strict: true }),
   
   handleValidationErrors
 ];
 
 /**
- * Parameter validation for IDs
+ * Announcement pin validation
+ */
+const validateAnnouncementPin = [
+  body('is_pinned', 'is_pinned must be a boolean')
+    .isBoolean({ strict: true }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Notification list query validation
+ */
+const validateNotificationQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Page must be between 1 and 1000'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  query('type')
+    .optional()
+    .isIn(NOTIFICATION_TYPES)
+    .withMessage(`Type must be one of: ${NOTIFICATION_TYPES.join(', ')}`),
+  
+  query('unread_only')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('unread_only must be true or false'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Notification creation validation (admin/internal)
  */
-const validateId = [
-  param('id')
+const validateNotificationCreation = [
+  body(['teacherId', 'studentId', 'batchId'])
+    .isInt({ min: 1 })
+    .withMessage('Teacher, student and batch IDs must be positive integers')
+    .toInt(),
+  
+  body('submissionId')
+    .optional({ values: 'null' })
     .isInt({ min: 1 })
-    .withMessage('ID must be a positive integer'),
+    .withMessage('Submission ID must be a positive integer')
+    .toInt(),
+  
+  body('type')
+    .isIn(['submission', 'announcement', 'batch_join'])
+    .withMessage('Type must be submission, announcement or batch_join'),
+  
+  body('title', 'Title must be 1-255 characters')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 }),
+  
+  body('message', 'Message must be 1-5000 characters')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 5000 }),
   
   handleValidationErrors
 ];
 
-const validateBatchId = [
-  param('batch_id')
+/**
+ * Notification settings validation
+ * Every flag is required because the settings row is replaced as a whole
+ */
+const validateNotificationSettings = [
+  body(['email_notifications', 'submission_notifications', 'announcement_notifications', 'batch_join_notifications'])
+    .isBoolean({ strict: true })
+    .withMessage('Notification settings must be true or false'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Profile picture upload validation
+ * Format and size are checked by the upload controller
+ */
+const validateProfilePictureUpload = [
+  body('imageData', 'Image data is required')
+    .isString()
+    .notEmpty(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Submission file upload validation
+ * File type and size are checked by the upload controller
+ */
+const validateSubmissionFileUpload = [
+  body('batchId')
     .isInt({ min: 1 })
-    .withMessage('Batch ID must be a positive integer'),
+    .withMessage('Valid batch ID is required')
+    .toInt(),
+  
+  body('fileData', 'File data is required')
+    .isString()
+    .notEmpty(),
+  
+  body('fileName', 'File name must be 1-255 characters')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 }),
+  
+  body('fileType', 'File type must be a string')
+    .optional()
+    .isString(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Admin user search validation
+ */
+const USER_ROLES = ['student', 'teacher', 'admin'];
+
+const validateAdminUserQuery = [
+  query('search', 'Search must be at most 100 characters')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 }),
+  
+  query('role', `Role must be one of: ${USER_ROLES.join(', ')}`)
+    .optional()
+    .isIn(USER_ROLES),
+  
+  query('status', 'Status must be active or disabled')
+    .optional()
+    .isIn(['active', 'disabled']),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Page must be between 1 and 1000'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Admin role change validation
+ */
+const validateAdminRoleUpdate = [
+  body('role', `Role must be one of: ${USER_ROLES.join(', ')}`)
+    .isIn(USER_ROLES),
   
   handleValidationErrors
 ];
 
-const validateSubmissionId = [
-  param('submission_id')
+/**
+ * Admin account status validation (disable or re-enable)
+ */
+const validateAdminStatusUpdate = [
+  body('disabled', 'Please provide disabled: true/false in request body')
+    .isBoolean({ strict: true }),
+  
+  body('reason', 'Reason must be at most 255 characters')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 255 }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Admin batch reassignment validation (omit batchIds to move every batch)
+ */
+const validateAdminBatchReassignment = [
+  body('toTeacherId')
+    .isInt({ min: 1 })
+    .withMessage('Valid target teacher ID is required')
+    .toInt(),
+  
+  body('batchIds', 'batchIds must be a non-empty array of batch IDs')
+    .optional()
+    .isArray({ min: 1, max: 500 }),
+  
+  body('batchIds.*', 'batchIds must be a non-empty array of batch IDs')
     .isInt({ min: 1 })
-    .withMessage('Submission ID must be a positive integer'),
+    .toInt(),
   
   handleValidationErrors
 ];
 
+/**
+ * Parameter validation for IDs
+ */
+const validateId = validateParamId('id', 'ID');
+const validateBatchId = validateParamId('batchId', 'Batch ID');
+const validateSubmissionId = validateParamId('submissionId', 'Submission ID');
+
 /**
  * Query parameter validation
  */
@@ -513,18 +1305,52 @@ module.exports = {
   authRateLimit,
   apiRateLimit,
   uploadRateLimit,
+  joinCodeRateLimit,
   
   // Validation middleware
   validateRegistration,
   validateLogin,
   validateProfileUpdate,
   validateBatchCreation,
+  validateBatchUpdate,
+  validateBatchClone,
+  validateBatchJoin,
+  validateInviteCreation,
+  validateJoinByCode,
+  validateJoinRequestQuery,
+  validateRosterQuery,
+  validateBrowseQuery,
+  validateBlockStudent,
+  validateRosterImport,
+  validateStaffAddition,
+  validateStaffRoleUpdate,
+  validateOwnershipTransfer,
+  validatePracticalCreation,
+  validatePracticalUpdate,
+  validateRubric,
   validateSubmissionCreation,
+  validateSubmissionUpdate,
+  validateSubmissionStatus,
+  validateSubmissionGrade,
+  validateSubmissionComment,
+  validateVersionDiffQuery,
+  validateExploreQuery,
   validateAnnouncement,
+  validateAnnouncementPin,
+  validateNotificationQuery,
+  validateNotificationCreation,
+  validateNotificationSettings,
+  validateProfilePictureUpload,
+  validateSubmissionFileUpload,
+  validateParamId,
   validateId,
   validateBatchId,
   validateSubmissionId,
   validatePagination,
+  validateAdminUserQuery,
+  validateAdminRoleUpdate,
+  validateAdminStatusUpdate,
+  validateAdminBatchReassignment,
   
   // Security middleware
   requireRole,
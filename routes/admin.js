@@ -0,0 +1,52 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  requireRole,
+  validateParamId,
+  validateAdminUserQuery,
+  validateAdminRoleUpdate,
+  validateAdminStatusUpdate,
+  validateAdminBatchReassignment
+} = require('../middleware/validation');
+const {
+  listUsers,
+  updateUserRole,
+  updateUserStatus,
+  reassignTeacherBatches,
+  getPlatformStats
+} = require('../controllers/adminController');
+
+/**
+ * Admin Routes
+ * Institution administration endpoints
+ * All routes require authentication and the admin role
+ */
+
+const router = express.Router();
+
+const validateUserId = validateParamId('userId', 'User ID');
+const validateTeacherId = validateParamId('teacherId', 'Teacher ID');
+
+router.use(authenticateToken, requireRole(['admin']));
+
+// GET /api/admin/users
+// List/search users (query: search, role, status, page, limit)
+router.get('/users', validateAdminUserQuery, listUsers);
+
+// PUT /api/admin/users/:userId/role
+// Change a user's role
+router.put('/users/:userId/role', validateUserId, validateAdminRoleUpdate, updateUserRole);
+
+// PUT /api/admin/users/:userId/status
+// Disable or re-enable a user account
+router.put('/users/:userId/status', validateUserId, validateAdminStatusUpdate, updateUserStatus);
+
+// POST /api/admin/teachers/:teacherId/reassign-batches
+// Move a departing teacher's batches to another teacher
+router.post('/teachers/:teacherId/reassign-batches', validateTeacherId, validateAdminBatchReassignment, reassignTeacherBatches);
+
+// GET /api/admin/stats
+// Platform-wide statistics
+router.get('/stats', getPlatformStats);
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express')
 const router = express.Router()
 const announcementController = require('../controllers/announcementController')
 const { authenticateToken } = require('../middleware/auth')
+const { requireRole, validateAnnouncement, validateAnnouncementPin, validateParamId } = require('../middleware/validation')
+const { BATCH_STAFF, authorizeBatch, authorizeAnnouncement, fromParams, fromBody } = require('../middleware/authorize')
 
 /**
  * Announcement Routes
@@ -9,43 +11,60 @@ const { authenticateToken } = require('../middleware/auth')
  * All routes require authentication
  */
 
-// Create a new announcement (Teacher only)
+const validateBatchIdParam = validateParamId('batch_id', 'Batch ID')
+const validateAnnouncementId = validateParamId('announcement_id', 'Announcement ID')
+
+// Create a new announcement (batch owner, co-teachers and TAs)
 router.post('/', 
   authenticateToken, 
-  (req, res, next) => {
-    // Simple validation for now
-    if (!req.body.batch_id || !req.body.message) {
-      return res.status(400).json({
-        success: false,
-        message: 'Batch ID and message are required'
-      })
-    }
-    next()
-  },
+  requireRole(['teacher']),
+  validateAnnouncement,
+  authorizeBatch(BATCH_STAFF, fromBody('batch_id'), { message: 'You do not have access to this batch', writable: true }),
   announcementController.createAnnouncement
 )
 
 // Get all announcements for a batch
 router.get('/batch/:batch_id', 
   authenticateToken, 
+  validateBatchIdParam,
+  authorizeBatch([...BATCH_STAFF, 'member'], fromParams('batch_id'), { message: 'You do not have access to this batch' }),
   announcementController.getBatchAnnouncements
 )
 
 // Mark an announcement as read (Student only)
 router.post('/:announcement_id/read', 
   authenticateToken, 
+  requireRole(['student']),
+  validateAnnouncementId,
+  authorizeAnnouncement(['batchMember'], fromParams('announcement_id')),
   announcementController.markAsRead
 )
 
 // Get unread announcement count for a student
 router.get('/unread-count/:batch_id', 
   authenticateToken, 
+  requireRole(['student']),
+  validateBatchIdParam,
+  authorizeBatch(['member'], fromParams('batch_id'), { message: 'You do not have access to this batch' }),
   announcementController.getUnreadCount
 )
 
-// Delete an announcement (Teacher only)
+// Pin or unpin an announcement (its author, or the batch owner or a co-teacher)
+router.put('/:announcement_id/pin', 
+  authenticateToken, 
+  requireRole(['teacher']),
+  validateAnnouncementId,
+  validateAnnouncementPin,
+  authorizeAnnouncement(['author', 'batchManager'], fromParams('announcement_id'), { writable: true }),
+  announcementController.setAnnouncementPinned
+)
+
+// Delete an announcement (its author, or the batch owner or a co-teacher)
 router.delete('/:announcement_id', 
   authenticateToken, 
+  requireRole(['teacher']),
+  validateAnnouncementId,
+  authorizeAnnouncement(['author', 'batchManager'], fromParams('announcement_id'), { writable: true }),
   announcementController.deleteAnnouncement
 )
 
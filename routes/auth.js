@@ -1,6 +1,17 @@
 const express = require('express');
-const { registerUser, getUserByFirebaseUid, googleSignIn, emailSignIn, logout } = require('../controllers/authController');
+const {
+  registerUser,
+  getUserByFirebaseUid,
+  googleSignIn,
+  emailSignIn,
+  refreshSession,
+  logout,
+  logoutAllSessions,
+  getSessions,
+  deleteSession
+} = require('../controllers/authController');
 const { authRateLimit, validateRegistration, validateLogin } = require('../middleware/validation');
+const { authenticateToken, verifyFirebaseToken } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -31,25 +42,41 @@ router.use((req, res, next) => {
  */
 
 // POST /api/auth/register
-// Register new user after Firebase authentication
-router.post('/register', authRateLimit, validateRegistration, registerUser);
+// Register new user after Firebase authentication (requires Firebase ID token)
+router.post('/register', authRateLimit, verifyFirebaseToken, validateRegistration, registerUser);
 
 // GET /api/auth/user/:firebaseUid
-// Get user information by Firebase UID
-router.get('/user/:firebaseUid', getUserByFirebaseUid);
+// Get user information by Firebase UID (requires matching Firebase ID token)
+router.get('/user/:firebaseUid', verifyFirebaseToken, getUserByFirebaseUid);
 
 // POST /api/auth/google-signin
-// Handle Google Sign In with role selection
-router.post('/google-signin', authRateLimit, googleSignIn);
+// Handle Google Sign In with role selection (requires Firebase ID token)
+router.post('/google-signin', authRateLimit, verifyFirebaseToken, googleSignIn);
 
 // POST /api/auth/signin
-// Handle email/password sign in with role-specific validation
-router.post('/signin', authRateLimit, validateLogin, emailSignIn);
+// Handle email/password sign in with role-specific validation (requires Firebase ID token)
+router.post('/signin', authRateLimit, verifyFirebaseToken, validateLogin, emailSignIn);
+
+// POST /api/auth/refresh
+// Rotate refresh token and issue a new short-lived access token
+router.post('/refresh', refreshSession);
 
 // POST /api/auth/logout
-// Handle user logout and clear cookies
+// Revoke the current session and clear cookies
 router.post('/logout', logout);
 
+// POST /api/auth/logout-all
+// Sign out everywhere: revoke every session for the current user
+router.post('/logout-all', authenticateToken, logoutAllSessions);
+
+// GET /api/auth/sessions
+// List devices/browsers the current user is signed into
+router.get('/sessions', authenticateToken, getSessions);
+
+// DELETE /api/auth/sessions/:sessionId
+// Sign out a single device
+router.delete('/sessions/:sessionId', authenticateToken, deleteSession);
+
 // GET /api/auth/test
 // Test endpoint to verify API connectivity
 router.get('/test', (req, res) => {
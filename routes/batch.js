@@ -1,35 +1,168 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
+const {
+  requireRole,
+  validateBatchCreation,
+  validateBatchUpdate,
+  validateBatchClone,
+  validateBatchJoin,
+  validateInviteCreation,
+  validateJoinByCode,
+  validateJoinRequestQuery,
+  validateRosterQuery,
+  validateBrowseQuery,
+  validateBlockStudent,
+  validateRosterImport,
+  validateStaffAddition,
+  validateStaffRoleUpdate,
+  validateOwnershipTransfer,
+  validatePracticalCreation,
+  validatePracticalUpdate,
+  validateRubric,
+  validateBatchId,
+  validateParamId,
+  joinCodeRateLimit
+} = require('../middleware/validation');
+const { BATCH_STAFF, BATCH_MANAGERS, authorizeBatch, fromParams } = require('../middleware/authorize');
 const {
   createBatch,
+  cloneBatch,
   getTeacherBatches,
   getBatchDetails,
   joinBatch,
   updateBatch,
   deleteBatch,
+  restoreBatch,
+  getDeletedBatches,
+  archiveBatch,
+  unarchiveBatch,
   getStudentBatches,
   getAllBatches
 } = require('../controllers/batchController');
+const {
+  createInvite,
+  getBatchInvites,
+  revokeInvite,
+  joinByCode
+} = require('../controllers/batchInviteController');
+const {
+  getJoinRequests,
+  approveJoinRequest,
+  denyJoinRequest
+} = require('../controllers/batchJoinRequestController');
+const {
+  getBatchMembers,
+  removeBatchMember,
+  blockStudent,
+  unblockStudent,
+  getBlockedStudents,
+  leaveBatch,
+  importRoster,
+  getRosterInvitations,
+  cancelRosterInvitation
+} = require('../controllers/batchRosterController');
+const {
+  getBatchStaff,
+  addStaffMember,
+  updateStaffRole,
+  removeStaffMember,
+  leaveStaff,
+  transferOwnership
+} = require('../controllers/batchStaffController');
+const {
+  getPracticals,
+  getPractical,
+  createPractical,
+  updatePractical,
+  deletePractical,
+  getPracticalRubric,
+  updatePracticalRubric,
+  getPracticalSubmissionStatus
+} = require('../controllers/practicalController');
 
 /**
  * Batch Routes
  * Handles all batch-related API endpoints
- * All routes require authentication
+ * All routes require authentication; role guards, request validation and ownership guards
+ * are declared per route, in that order
  */
 
+const teacherOnly = requireRole(['teacher']);
+const studentOnly = requireRole(['student']);
+const batchOwner = authorizeBatch(['owner'], fromParams('batchId'), { message: 'Only the batch owner can do this' });
+const batchManager = authorizeBatch(BATCH_MANAGERS, fromParams('batchId'), { message: 'You can only manage batches you own or co-teach' });
+const batchStaff = authorizeBatch(BATCH_STAFF, fromParams('batchId'), { message: 'You are not on the staff of this batch' });
+// Same as batchManager, but archived (read-only) batches are rejected
+const activeBatchManager = authorizeBatch(BATCH_MANAGERS, fromParams('batchId'), { message: 'You can only manage batches you own or co-teach', writable: true });
+
 // Teacher routes for batch management
-router.post('/create', authenticateToken, createBatch);
-router.get('/teacher/my-batches', authenticateToken, getTeacherBatches);
-router.put('/edit/:batchId', authenticateToken, updateBatch);
-router.delete('/delete/:batchId', authenticateToken, deleteBatch);
+router.post('/create', authenticateToken, teacherOnly, validateBatchCreation, createBatch);
+router.get('/teacher/my-batches', authenticateToken, teacherOnly, getTeacherBatches);
+router.post('/:batchId/clone', authenticateToken, teacherOnly, validateBatchId, validateBatchClone, batchManager, cloneBatch);
+router.put('/edit/:batchId', authenticateToken, teacherOnly, validateBatchId, validateBatchUpdate, activeBatchManager, updateBatch);
+
+// Archive (read-only, hidden from browse) and soft delete with a grace period before purge
+router.post('/:batchId/archive', authenticateToken, teacherOnly, validateBatchId, batchManager, archiveBatch);
+router.post('/:batchId/unarchive', authenticateToken, teacherOnly, validateBatchId, batchManager, unarchiveBatch);
+router.delete('/delete/:batchId', authenticateToken, teacherOnly, validateBatchId, batchOwner, deleteBatch);
+router.get('/teacher/deleted-batches', authenticateToken, teacherOnly, getDeletedBatches);
+router.post('/:batchId/restore', authenticateToken, teacherOnly, validateBatchId, authorizeBatch(['owner'], fromParams('batchId'), { message: 'Only the batch owner can do this', includeDeleted: true }), restoreBatch);
+
+// Invite links and join codes (owner or co-teacher)
+router.post('/:batchId/invites', authenticateToken, teacherOnly, validateBatchId, validateInviteCreation, activeBatchManager, createInvite);
+router.get('/:batchId/invites', authenticateToken, teacherOnly, validateBatchId, batchManager, getBatchInvites);
+router.delete('/:batchId/invites/:inviteId', authenticateToken, teacherOnly, validateBatchId, validateParamId('inviteId', 'Invite ID'), batchManager, revokeInvite);
+
+// Join requests for batches that require approval (owner or co-teacher)
+const validateRequestId = validateParamId('requestId', 'Request ID');
+router.get('/:batchId/requests', authenticateToken, teacherOnly, validateBatchId, validateJoinRequestQuery, batchManager, getJoinRequests);
+router.post('/:batchId/requests/:requestId/approve', authenticateToken, teacherOnly, validateBatchId, validateRequestId, activeBatchManager, approveJoinRequest);
+router.post('/:batchId/requests/:requestId/deny', authenticateToken, teacherOnly, validateBatchId, validateRequestId, batchManager, denyJoinRequest);
+
+// Roster management (owner or co-teacher)
+const validateStudentId = validateParamId('studentId', 'Student ID');
+router.get('/:batchId/members', authenticateToken, teacherOnly, validateBatchId, validateRosterQuery, batchManager, getBatchMembers);
+router.delete('/:batchId/members/:studentId', authenticateToken, teacherOnly, validateBatchId, validateStudentId, batchManager, removeBatchMember);
+router.get('/:batchId/blocks', authenticateToken, teacherOnly, validateBatchId, batchManager, getBlockedStudents);
+router.post('/:batchId/blocks', authenticateToken, teacherOnly, validateBatchId, validateBlockStudent, batchManager, blockStudent);
+router.delete('/:batchId/blocks/:studentId', authenticateToken, teacherOnly, validateBatchId, validateStudentId, batchManager, unblockStudent);
+
+// Bulk roster import (CSV as text/csv body or JSON { csv }) and the invitations it leaves for unknown emails
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' });
+router.post('/:batchId/roster/import', authenticateToken, teacherOnly, csvBody, validateBatchId, validateRosterImport, activeBatchManager, importRoster);
+router.get('/:batchId/roster/invitations', authenticateToken, teacherOnly, validateBatchId, batchManager, getRosterInvitations);
+router.delete('/:batchId/roster/invitations/:invitationId', authenticateToken, teacherOnly, validateBatchId, validateParamId('invitationId', 'Invitation ID'), batchManager, cancelRosterInvitation);
+
+// Batch staff: any staff member can list it; only the owner adds, changes or removes staff
+const validateStaffUserId = validateParamId('userId', 'User ID');
+router.get('/:batchId/staff', authenticateToken, teacherOnly, validateBatchId, batchStaff, getBatchStaff);
+router.post('/:batchId/staff', authenticateToken, teacherOnly, validateBatchId, validateStaffAddition, batchOwner, addStaffMember);
+router.post('/:batchId/staff/leave', authenticateToken, teacherOnly, validateBatchId, authorizeBatch(['coTeacher', 'ta'], fromParams('batchId'), { message: 'You are not a co-teacher or TA of this batch' }), leaveStaff);
+router.put('/:batchId/staff/:userId', authenticateToken, teacherOnly, validateBatchId, validateStaffUserId, validateStaffRoleUpdate, batchOwner, updateStaffRole);
+router.delete('/:batchId/staff/:userId', authenticateToken, teacherOnly, validateBatchId, validateStaffUserId, batchOwner, removeStaffMember);
+router.post('/:batchId/transfer-ownership', authenticateToken, teacherOnly, validateBatchId, validateOwnershipTransfer, batchOwner, transferOwnership);
+
+// Practicals: staff and members read them, the owner or a co-teacher manages them
+const batchStaffOrMember = authorizeBatch([...BATCH_STAFF, 'member'], fromParams('batchId'));
+const validatePracticalId = validateParamId('practicalId', 'Practical ID');
+router.get('/:batchId/practicals', authenticateToken, validateBatchId, batchStaffOrMember, getPracticals);
+router.post('/:batchId/practicals', authenticateToken, teacherOnly, validateBatchId, validatePracticalCreation, activeBatchManager, createPractical);
+router.get('/:batchId/practicals/:practicalId', authenticateToken, validateBatchId, validatePracticalId, batchStaffOrMember, getPractical);
+router.put('/:batchId/practicals/:practicalId', authenticateToken, teacherOnly, validateBatchId, validatePracticalId, validatePracticalUpdate, activeBatchManager, updatePractical);
+router.delete('/:batchId/practicals/:practicalId', authenticateToken, teacherOnly, validateBatchId, validatePracticalId, activeBatchManager, deletePractical);
+router.get('/:batchId/practicals/:practicalId/rubric', authenticateToken, validateBatchId, validatePracticalId, batchStaffOrMember, getPracticalRubric);
+router.put('/:batchId/practicals/:practicalId/rubric', authenticateToken, teacherOnly, validateBatchId, validatePracticalId, validateRubric, activeBatchManager, updatePracticalRubric);
+router.get('/:batchId/practicals/:practicalId/submissions', authenticateToken, teacherOnly, validateBatchId, validatePracticalId, batchStaff, getPracticalSubmissionStatus);
 
 // Student routes for batch operations
-router.post('/join', authenticateToken, joinBatch);
-router.get('/student/my-batches', authenticateToken, getStudentBatches);
-router.get('/browse', authenticateToken, getAllBatches);
+router.post('/join', authenticateToken, studentOnly, validateBatchJoin, joinBatch);
+router.post('/join-by-code', joinCodeRateLimit, authenticateToken, studentOnly, validateJoinByCode, joinByCode);
+router.get('/student/my-batches', authenticateToken, studentOnly, getStudentBatches);
+router.post('/:batchId/leave', authenticateToken, studentOnly, validateBatchId, authorizeBatch(['member'], fromParams('batchId'), { message: 'You are not a member of this batch' }), leaveBatch);
+router.get('/browse', authenticateToken, requireRole(['student', 'teacher']), validateBrowseQuery, getAllBatches);
 
-// Shared routes for batch details
-router.get('/:batchId', authenticateToken, getBatchDetails);
+// Shared routes for batch details (staff or member)
+router.get('/:batchId', authenticateToken, validateBatchId, batchStaffOrMember, getBatchDetails);
 
 module.exports = router;
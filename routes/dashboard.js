@@ -1,5 +1,7 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
+const { requireRole, validateId } = require('../middleware/validation');
+const { requireSelf, fromParams } = require('../middleware/authorize');
 const { getTeacherAnalytics } = require('../controllers/dashboardController');
 
 /**
@@ -12,6 +14,12 @@ const router = express.Router();
 
 // Teacher analytics endpoint
 // GET /api/dashboard/teacher/:id
-router.get('/teacher/:id', authenticateToken, getTeacherAnalytics);
+router.get('/teacher/:id',
+  authenticateToken,
+  requireRole(['teacher']),
+  validateId,
+  requireSelf(fromParams('id'), { message: 'Access denied: You can only view your own analytics' }),
+  getTeacherAnalytics
+);
 
 module.exports = router;
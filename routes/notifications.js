@@ -1,10 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
+const {
+  requireRole,
+  validateNotificationQuery,
+  validateNotificationCreation,
+  validateNotificationSettings,
+  validateParamId
+} = require('../middleware/validation');
+const { requireSelf, fromParams } = require('../middleware/authorize');
 const {
   getTeacherNotifications,
+  getMyNotifications,
+  getMyUnreadCount,
   markNotificationAsRead,
   markAllNotificationsAsRead,
+  deleteNotification,
   deleteAllNotifications,
   createNotification,
   getNotificationSettings,
@@ -15,27 +26,53 @@ const {
  * Notification Routes
  * Handles all notification-related API endpoints
  * All routes require authentication
+ * /me routes are the inbox of the signed-in user (teacher or student);
+ * /teacher/:teacherId routes are the legacy teacher feed and only allow that teacher
  */
 
+const teacherOnly = requireRole(['teacher']);
+const inboxUser = requireRole(['teacher', 'student']);
+const validateNotificationId = validateParamId('notificationId', 'Notification ID');
+const validateTeacherId = validateParamId('teacherId', 'Teacher ID');
+const ownTeacher = [
+  validateTeacherId,
+  requireSelf(fromParams('teacherId'), {
+    message: 'Access denied: You can only access your own notifications'
+  })
+];
+
+// Signed-in user's inbox
+router.get('/me', authenticateToken, inboxUser, validateNotificationQuery, getMyNotifications);
+router.get('/me/unread-count', authenticateToken, inboxUser, getMyUnreadCount);
+router.put('/me/mark-all-read', authenticateToken, inboxUser, markAllNotificationsAsRead);
+router.delete('/me/delete-all', authenticateToken, inboxUser, deleteAllNotifications);
+router.put('/me/:notificationId/read', authenticateToken, inboxUser, validateNotificationId, markNotificationAsRead);
+router.delete('/me/:notificationId', authenticateToken, inboxUser, validateNotificationId, deleteNotification);
+
 // Get all notifications for a teacher
-router.get('/teacher/:teacherId', authenticateToken, getTeacherNotifications);
+router.get('/teacher/:teacherId', authenticateToken, teacherOnly, ownTeacher, validateNotificationQuery, getTeacherNotifications);
 
-// Mark a specific notification as read
-router.put('/:notificationId/read', authenticateToken, markNotificationAsRead);
+// Mark a specific notification as read (only the signed-in user's own notifications)
+router.put('/:notificationId/read', authenticateToken, inboxUser, validateNotificationId, markNotificationAsRead);
 
 // Mark all notifications as read for a teacher
-router.put('/teacher/:teacherId/mark-all-read', authenticateToken, markAllNotificationsAsRead);
+router.put('/teacher/:teacherId/mark-all-read', authenticateToken, teacherOnly, ownTeacher, markAllNotificationsAsRead);
 
 // Delete all notifications for a teacher
-router.delete('/teacher/:teacherId/delete-all', authenticateToken, deleteAllNotifications);
+router.delete('/teacher/:teacherId/delete-all', authenticateToken, teacherOnly, ownTeacher, deleteAllNotifications);
+
+// Create a new notification
+// Controllers call createNotification directly; over HTTP it is restricted to admins
+router.post('/', authenticateToken, requireRole(['admin']), validateNotificationCreation, createNotification);
 
-// Create a new notification (internal use)
-router.post('/', authenticateToken, createNotification);
+// Notification settings for the signed-in teacher
+router.get('/settings/me', authenticateToken, teacherOnly, getNotificationSettings);
+router.put('/settings/me', authenticateToken, teacherOnly, validateNotificationSettings, updateNotificationSettings);
 
 // Get notification settings for a teacher
-router.get('/settings/:teacherId', authenticateToken, getNotificationSettings);
+router.get('/settings/:teacherId', authenticateToken, teacherOnly, ownTeacher, getNotificationSettings);
 
 // Update notification settings for a teacher
-router.put('/settings/:teacherId', authenticateToken, updateNotificationSettings);
+router.put('/settings/:teacherId', authenticateToken, teacherOnly, ownTeacher, validateNotificationSettings, updateNotificationSettings);
 
 module.exports = router;
@@ -1,9 +1,24 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  requireRole,
+  validateSubmissionCreation,
+  validateSubmissionUpdate,
+  validateSubmissionStatus,
+  validateSubmissionGrade,
+  validateSubmissionComment,
+  validateVersionDiffQuery,
+  validateExploreQuery,
+  validateParamId,
+  validateBatchId,
+  validateSubmissionId
+} = require('../middleware/validation');
+const { BATCH_STAFF, authorizeBatch, authorizeSubmission, fromParams, fromBody } = require('../middleware/authorize');
 const {
   createSubmission,
   getBatchSubmissions,
   updateSubmissionStatus,
+  gradeSubmission,
   getExploreSubmissions,
   getStudentSubmissions,
   editSubmission,
@@ -11,6 +26,16 @@ const {
   getSubmission,
   getBatchStats
 } = require('../controllers/submissionController');
+const {
+  getSubmissionComments,
+  createSubmissionComment,
+  deleteSubmissionComment
+} = require('../controllers/submissionCommentController');
+const {
+  listSubmissionVersions,
+  getSubmissionVersionDetails,
+  getSubmissionDiff
+} = require('../controllers/submissionVersionController');
 
 /**
  * Submission Routes
@@ -20,66 +45,187 @@ const {
 
 const router = express.Router();
 
+const teacherOnly = requireRole(['teacher']);
+const studentOnly = requireRole(['student']);
+const batchStaffOrMember = authorizeBatch([...BATCH_STAFF, 'member'], fromParams('batchId'));
+
 /**
  * POST /api/submissions/create
  * Create a new submission (students only)
  * Body: { batchId, content, fileUrl? }
  */
-router.post('/create', authenticateToken, createSubmission);
+router.post('/create',
+  authenticateToken,
+  studentOnly,
+  validateSubmissionCreation,
+  authorizeBatch(['member'], fromBody('batchId'), { message: 'You are not a member of this batch', writable: true }),
+  createSubmission
+);
 
 /**
  * GET /api/submissions/batch/:batchId
  * Get all submissions for a specific batch
  * Teachers see all, students see accepted + their own
  */
-router.get('/batch/:batchId', authenticateToken, getBatchSubmissions);
+router.get('/batch/:batchId', authenticateToken, validateBatchId, batchStaffOrMember, getBatchSubmissions);
 
 /**
  * PUT /api/submissions/:submissionId/status
- * Update submission status - accept or reject (teachers only)
- * Body: { status: 'accepted' | 'rejected' }
+ * Update submission status - accept, reject or request changes (batch owner, co-teachers and TAs)
+ * Body: { status: 'accepted' | 'rejected' | 'changes_requested', reason? }
+ */
+router.put('/:submissionId/status',
+  authenticateToken,
+  teacherOnly,
+  validateSubmissionId,
+  validateSubmissionStatus,
+  authorizeSubmission(['batchStaff'], fromParams('submissionId'), { writable: true }),
+  updateSubmissionStatus
+);
+
+/**
+ * PUT /api/submissions/:submissionId/grade
+ * Award marks (batch owner, co-teachers and TAs)
+ * Body: { marks } or, for practicals with a rubric, { scores: [{ criterionId, points }] }
  */
-router.put('/:submissionId/status', authenticateToken, updateSubmissionStatus);
+router.put('/:submissionId/grade',
+  authenticateToken,
+  teacherOnly,
+  validateSubmissionId,
+  validateSubmissionGrade,
+  authorizeSubmission(['batchStaff'], fromParams('submissionId'), { writable: true }),
+  gradeSubmission
+);
 
 /**
  * GET /api/submissions/explore
  * Get accepted submissions across all batches for explore feed
  * Query params: batchName (optional filter)
  */
-router.get('/explore', getExploreSubmissions);
+router.get('/explore', validateExploreQuery, getExploreSubmissions);
 
 /**
  * GET /api/submissions/my-submissions
  * Get submission history for authenticated student
  * Students only - returns all their submissions with status
  */
-router.get('/my-submissions', authenticateToken, getStudentSubmissions);
+router.get('/my-submissions', authenticateToken, studentOnly, getStudentSubmissions);
 
 /**
  * GET /api/submissions/:submissionId
  * Get individual submission by ID
- * Students can only access their own submissions, teachers can access any
+ * Students can only access their own submissions, batch staff can access any in their batches
  */
-router.get('/:submissionId', authenticateToken, getSubmission);
+router.get('/:submissionId',
+  authenticateToken,
+  validateSubmissionId,
+  authorizeSubmission(['author', 'batchStaff'], fromParams('submissionId')),
+  getSubmission
+);
 
 /**
  * PUT /api/submissions/:submissionId/edit
- * Edit a submission (students only, before teacher review)
+ * Edit a submission (students only, before teacher review); resubmits it when changes were requested
  * Body: { practicalName, content, fileUrl?, codeSandboxLink? }
  */
-router.put('/:submissionId/edit', authenticateToken, editSubmission);
+router.put('/:submissionId/edit',
+  authenticateToken,
+  studentOnly,
+  validateSubmissionId,
+  validateSubmissionUpdate,
+  authorizeSubmission(['author'], fromParams('submissionId'), { writable: true }),
+  editSubmission
+);
 
 /**
  * DELETE /api/submissions/:submissionId
  * Delete a submission (students only, before teacher review)
  */
-router.delete('/:submissionId', authenticateToken, deleteSubmission);
+router.delete('/:submissionId',
+  authenticateToken,
+  studentOnly,
+  validateSubmissionId,
+  authorizeSubmission(['author'], fromParams('submissionId'), { writable: true }),
+  deleteSubmission
+);
+
+/**
+ * GET /api/submissions/:submissionId/comments
+ * Review threads of a submission (the submitting student and batch staff)
+ */
+router.get('/:submissionId/comments',
+  authenticateToken,
+  validateSubmissionId,
+  authorizeSubmission(['author', 'batchStaff'], fromParams('submissionId')),
+  getSubmissionComments
+);
+
+/**
+ * POST /api/submissions/:submissionId/comments
+ * Comment on a submission or reply to a thread (the submitting student and batch staff)
+ * Body: { body, parentId? }
+ */
+router.post('/:submissionId/comments',
+  authenticateToken,
+  validateSubmissionId,
+  validateSubmissionComment,
+  authorizeSubmission(['author', 'batchStaff'], fromParams('submissionId'), { writable: true }),
+  createSubmissionComment
+);
+
+/**
+ * DELETE /api/submissions/:submissionId/comments/:commentId
+ * Delete one of your own comments
+ */
+router.delete('/:submissionId/comments/:commentId',
+  authenticateToken,
+  validateSubmissionId,
+  validateParamId('commentId', 'Comment ID'),
+  authorizeSubmission(['author', 'batchStaff'], fromParams('submissionId'), { writable: true }),
+  deleteSubmissionComment
+);
+
+/**
+ * GET /api/submissions/:submissionId/versions
+ * Saved versions of a submission, oldest first (the submitting student and batch staff)
+ */
+router.get('/:submissionId/versions',
+  authenticateToken,
+  validateSubmissionId,
+  authorizeSubmission(['author', 'batchStaff'], fromParams('submissionId')),
+  listSubmissionVersions
+);
+
+/**
+ * GET /api/submissions/:submissionId/versions/:versionNumber
+ * One version with its content (the submitting student and batch staff)
+ */
+router.get('/:submissionId/versions/:versionNumber',
+  authenticateToken,
+  validateSubmissionId,
+  validateParamId('versionNumber', 'Version number'),
+  authorizeSubmission(['author', 'batchStaff'], fromParams('submissionId')),
+  getSubmissionVersionDetails
+);
+
+/**
+ * GET /api/submissions/:submissionId/diff
+ * Unified diff between two versions (the submitting student and batch staff)
+ * Query params: from, to (default: last reviewed version to latest)
+ */
+router.get('/:submissionId/diff',
+  authenticateToken,
+  validateSubmissionId,
+  validateVersionDiffQuery,
+  authorizeSubmission(['author', 'batchStaff'], fromParams('submissionId')),
+  getSubmissionDiff
+);
 
 /**
  * GET /api/submissions/batch/:batchId/stats
  * Get statistics for a specific batch
  * Returns enrolled students, total submissions, pending submissions
  */
-router.get('/batch/:batchId/stats', authenticateToken, getBatchStats);
+router.get('/batch/:batchId/stats', authenticateToken, validateBatchId, batchStaffOrMember, getBatchStats);
 
 module.exports = router;
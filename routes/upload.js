@@ -5,6 +5,12 @@ const {
   uploadSubmissionFile
 } = require('../controllers/uploadController');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  requireRole,
+  validateProfilePictureUpload,
+  validateSubmissionFileUpload
+} = require('../middleware/validation');
+const { authorizeBatch, fromBody } = require('../middleware/authorize');
 
 const router = express.Router();
 
@@ -16,7 +22,7 @@ const router = express.Router();
 
 // POST /api/upload/profile-picture
 // Upload a new profile picture (base64)
-router.post('/profile-picture', authenticateToken, uploadProfilePicture);
+router.post('/profile-picture', authenticateToken, validateProfilePictureUpload, uploadProfilePicture);
 
 // DELETE /api/upload/profile-picture
 // Delete an existing profile picture
@@ -24,6 +30,12 @@ router.delete('/profile-picture', authenticateToken, deleteProfilePicture);
 
 // POST /api/upload/submission-file
 // Upload a file for submission (students only)
-router.post('/submission-file', authenticateToken, uploadSubmissionFile);
+router.post('/submission-file',
+  authenticateToken,
+  requireRole(['student']),
+  validateSubmissionFileUpload,
+  authorizeBatch(['member'], fromBody('batchId'), { message: 'You are not a member of this batch', writable: true }),
+  uploadSubmissionFile
+);
 
 module.exports = router;
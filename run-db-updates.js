@@ -14,6 +14,42 @@ process.env.DATABASE_NAME = process.env.DATABASE_NAME || 'practical_portal';
  * Runs the schema updates to create notification tables
  */
 
+// Column renames and named foreign keys fail with generic errors when re-run, so they are
+// only treated as applied when the column or constraint they create is already there
+const RENAME_COLUMN = /^ALTER TABLE (\w+) CHANGE COLUMN \w+ (\w+)/i;
+const ADD_COLUMN = /^ALTER TABLE (\w+) ADD COLUMN (\w+)/i;
+const ADD_CONSTRAINT = /^ALTER TABLE (\w+) ADD CONSTRAINT (\w+) FOREIGN KEY/i;
+
+/**
+ * Check whether a failed statement's change is already in the database
+ * @param {Object} connection - mysql2 connection
+ * @param {string} statement - The statement that failed
+ * @param {Object} error - The error it failed with
+ * @returns {Promise<boolean>} True if the column or constraint it creates already exists
+ */
+async function isAlreadyApplied(connection, statement, error) {
+  // A rename that already ran no longer finds its old column, and a later ADD COLUMN ... AFTER it fails the same way
+  const column = error.code === 'ER_BAD_FIELD_ERROR' && (statement.match(RENAME_COLUMN) || statement.match(ADD_COLUMN));
+  if (column) {
+    const [rows] = await connection.execute(
+      'SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+      [column[1], column[2]]
+    );
+    return rows.length > 0;
+  }
+
+  const constraint = error.code === 'ER_FK_DUP_NAME' && statement.match(ADD_CONSTRAINT);
+  if (constraint) {
+    const [rows] = await connection.execute(
+      "SELECT 1 FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS WHERE CONSTRAINT_SCHEMA = DATABASE() AND TABLE_NAME = ? AND CONSTRAINT_NAME = ? AND CONSTRAINT_TYPE = 'FOREIGN KEY'",
+      [constraint[1], constraint[2]]
+    );
+    return rows.length > 0;
+  }
+
+  return false;
+}
+
 async function runDatabaseUpdates() {
   let connection;
   
@@ -39,9 +75,14 @@ async function runDatabaseUpdates() {
     const schemaSQL = fs.readFileSync(schemaPath, 'utf8');
 
     // Split by semicolon and execute each statement
+    // Comment lines are stripped first so a commented statement is not mistaken for a comment
     const statements = schemaSQL
       .split(';')
-      .map(stmt => stmt.trim())
+      .map(stmt => stmt
+        .split('\n')
+        .filter(line => !line.trim().startsWith('--'))
+        .join('\n')
+        .trim())
       .filter(stmt => stmt.length > 0 && !stmt.startsWith('--') && !stmt.startsWith('DESCRIBE'));
 
     console.log(`📝 Found ${statements.length} SQL statements to execute`);
@@ -60,8 +101,9 @@ async function runDatabaseUpdates() {
           if (error.code === 'ER_TABLE_EXISTS_ERROR' || 
               error.code === 'ER_DUP_FIELDNAME' || 
               error.code === 'ER_DUP_KEYNAME' ||
-              error.code === 'ER_DUP_ENTRY') {
-            console.log(`⚠️  Statement ${i + 1} skipped (already exists): ${error.message}`);
+              error.code === 'ER_DUP_ENTRY' ||
+              await isAlreadyApplied(connection, statement, error)) {
+            console.log(`⚠️  Statement ${i + 1} skipped (already applied): ${error.message}`);
           } else {
             console.error(`❌ Error in statement ${i + 1}:`, error.message);
             throw error;
@@ -76,6 +118,8 @@ async function runDatabaseUpdates() {
     console.log('   - notification_settings');
     console.log('   - announcements');
     console.log('   - announcement_reads');
+    console.log('   - user_sessions');
+    console.log('   - session_refresh_tokens');
 
   } catch (error) {
     console.error('❌ Database update failed:');
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Grant Admin Role Script
+ * Promotes an existing user to the admin role (admins cannot self-register)
+ * Usage: node scripts/grant-admin.js <email>
+ */
+
+require('dotenv').config();
+const { executeQuery, closePool } = require('../utils/database');
+const { revokeAllSessions } = require('../utils/sessionService');
+
+const email = process.argv[2];
+
+if (!email) {
+  console.error('Usage: node scripts/grant-admin.js <email>');
+  process.exit(1);
+}
+
+console.log('👤 Grant Admin Role');
+console.log('===================');
+
+(async () => {
+  try {
+    const users = await executeQuery('SELECT user_id, name, role FROM users WHERE email = ?', [email]);
+
+    if (users.length === 0) {
+      console.error(`❌ No user found with email ${email}. The user must sign up first.`);
+      process.exit(1);
+    }
+
+    const user = users[0];
+
+    if (user.role === 'admin') {
+      console.log(`ℹ️  ${user.name} is already an admin`);
+      process.exit(0);
+    }
+
+    await executeQuery('UPDATE users SET role = ? WHERE user_id = ?', ['admin', user.user_id]);
+    // Existing tokens carry the old role
+    await revokeAllSessions(null, user.user_id, 'role_changed');
+
+    console.log(`✅ ${user.name} (${email}) promoted from ${user.role} to admin`);
+    await closePool();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error granting admin role:', error.message);
+    process.exit(1);
+  }
+})();
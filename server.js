@@ -59,6 +59,11 @@ validateEnvironment();
 
 // Legacy initialization removed after DB consolidation
 const { apiRateLimit, setSecurityHeaders, sanitizeInput } = require('./middleware/validation');
+const { authenticateSocket } = require('./middleware/auth');
+const { getBatchAccess } = require('./middleware/authorize');
+const { userRoom, sessionRoom } = require('./utils/realtime');
+const { startBatchPurgeJob } = require('./utils/batchLifecycleService');
+const { startDeadlineReminderJob } = require('./utils/practicalService');
 const authRoutes = require('./routes/auth');
 const profileRoutes = require('./routes/profile');
 const batchRoutes = require('./routes/batch');
@@ -67,6 +72,7 @@ const dashboardRoutes = require('./routes/dashboard');
 const uploadRoutes = require('./routes/upload');
 const announcementRoutes = require('./routes/announcement');
 const notificationRoutes = require('./routes/notifications');
+const adminRoutes = require('./routes/admin');
 
 /**
  * Express.js Server Setup
@@ -226,6 +232,7 @@ app.get('/api', (req, res) => {
       upload: '/api/upload',
       announcements: '/api/announcements',
       notifications: '/api/notifications',
+      admin: '/api/admin',
       health: '/health'
     }
   });
@@ -794,68 +801,119 @@ app.set('io', io);
   app.use('/api/upload', uploadRoutes);
   app.use('/api/announcements', announcementRoutes);
   app.use('/api/notifications', notificationRoutes);
+  app.use('/api/admin', adminRoutes);
+
+// Socket.IO handshake authentication: every connection carries a verified access token
+io.use(authenticateSocket);
+
+/**
+ * Parse a room ID sent by a client
+ * @param {*} value - Raw ID from the socket event
+ * @returns {number|null} Positive integer ID or null
+ */
+const parseRoomId = (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return null;
+  }
+  const id = parseInt(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Reply to a room join/leave request
+ * Uses the client's acknowledgement callback when given; rejections are also emitted as `room_error`
+ */
+const replyToRoomRequest = (socket, ack, room, success, message) => {
+  if (!success) {
+    socket.emit('room_error', { room, message });
+  }
+  if (typeof ack === 'function') {
+    ack({ success, room, message });
+  }
+};
 
 // Enhanced Socket.IO connection handling with robust error handling
 io.on('connection', (socket) => {
-  logger.info('Socket.IO connection established', { socketId: socket.id });
+  const { userId, role } = socket.data.user;
+  logger.info('Socket.IO connection established', { socketId: socket.id, userId, role });
   
   // Monitor socket connection
   monitorSocketConnection(socket);
 
-  // Join batch room for real-time updates
-  socket.on('joinBatch', (batchId) => {
+  // Private channel for events that concern only this user (status changes, feedback, announcements)
+  socket.join(userRoom(userId));
+
+  // Session channel so revoking this session (logout, device sign-out) can close the socket
+  socket.join(sessionRoom(socket.data.user.sid));
+
+  // Join batch room for real-time updates (batch teacher or enrolled students only)
+  socket.on('joinBatch', async (batchId, ack) => {
+    const id = parseRoomId(batchId);
+    if (!id) {
+      console.error('❌ Invalid batchId for joinBatch:', batchId);
+      return replyToRoomRequest(socket, ack, null, false, 'Invalid batch ID');
+    }
+
+    const room = `batch_${id}`;
     try {
-      if (!batchId || typeof batchId !== 'string' && typeof batchId !== 'number') {
-        console.error('❌ Invalid batchId for joinBatch:', batchId);
-        return;
+      const { batch, relation } = await getBatchAccess(id, socket.data.user);
+      if (!batch || !relation) {
+        console.log(`🚫 User ${userId} denied access to ${room}`);
+        return replyToRoomRequest(socket, ack, room, false, 'Access denied to this batch');
       }
-      socket.join(`batch_${batchId}`);
-      console.log(`✅ User ${socket.id} joined batch ${batchId}`);
+
+      socket.join(room);
+      console.log(`✅ User ${userId} (${socket.id}) joined batch ${id}`);
+      replyToRoomRequest(socket, ack, room, true, 'Joined batch');
     } catch (error) {
       console.error('❌ Error joining batch:', error.message);
+      replyToRoomRequest(socket, ack, room, false, 'Could not join batch');
     }
   });
 
   // Leave batch room
-  socket.on('leaveBatch', (batchId) => {
-    try {
-      if (!batchId || typeof batchId !== 'string' && typeof batchId !== 'number') {
-        console.error('❌ Invalid batchId for leaveBatch:', batchId);
-        return;
-      }
-      socket.leave(`batch_${batchId}`);
-      console.log(`✅ User ${socket.id} left batch ${batchId}`);
-    } catch (error) {
-      console.error('❌ Error leaving batch:', error.message);
+  socket.on('leaveBatch', (batchId, ack) => {
+    const id = parseRoomId(batchId);
+    if (!id) {
+      console.error('❌ Invalid batchId for leaveBatch:', batchId);
+      return replyToRoomRequest(socket, ack, null, false, 'Invalid batch ID');
     }
+
+    socket.leave(`batch_${id}`);
+    console.log(`✅ User ${userId} (${socket.id}) left batch ${id}`);
+    replyToRoomRequest(socket, ack, `batch_${id}`, true, 'Left batch');
   });
 
-  // Join teacher notification room
-  socket.on('join_teacher_notifications', (teacherId) => {
-    try {
-      if (!teacherId || typeof teacherId !== 'string' && typeof teacherId !== 'number') {
-        console.error('❌ Invalid teacherId for join_teacher_notifications:', teacherId);
-        return;
-      }
-      socket.join(`teacher_notifications_${teacherId}`);
-      console.log(`✅ User ${socket.id} joined teacher notifications for ${teacherId}`);
-    } catch (error) {
-      console.error('❌ Error joining teacher notifications:', error.message);
+  // Join teacher notification room (only the teacher it belongs to)
+  socket.on('join_teacher_notifications', (teacherId, ack) => {
+    const id = parseRoomId(teacherId);
+    if (!id) {
+      console.error('❌ Invalid teacherId for join_teacher_notifications:', teacherId);
+      return replyToRoomRequest(socket, ack, null, false, 'Invalid teacher ID');
+    }
+
+    const room = `teacher_notifications_${id}`;
+    if (role !== 'teacher' || id !== Number(userId)) {
+      console.log(`🚫 User ${userId} denied access to ${room}`);
+      return replyToRoomRequest(socket, ack, room, false, 'You can only subscribe to your own notifications');
     }
+
+    socket.join(room);
+    console.log(`✅ Teacher ${userId} (${socket.id}) joined notifications room`);
+    replyToRoomRequest(socket, ack, room, true, 'Joined notifications');
   });
 
   // Leave teacher notification room
-  socket.on('leave_teacher_notifications', (teacherId) => {
-    try {
-      if (!teacherId || typeof teacherId !== 'string' && typeof teacherId !== 'number') {
-        console.error('❌ Invalid teacherId for leave_teacher_notifications:', teacherId);
-        return;
-      }
-      socket.leave(`teacher_notifications_${teacherId}`);
-      console.log(`✅ User ${socket.id} left teacher notifications for ${teacherId}`);
-    } catch (error) {
-      console.error('❌ Error leaving teacher notifications:', error.message);
+  socket.on('leave_teacher_notifications', (teacherId, ack) => {
+    const id = parseRoomId(teacherId);
+    if (!id) {
+      console.error('❌ Invalid teacherId for leave_teacher_notifications:', teacherId);
+      return replyToRoomRequest(socket, ack, null, false, 'Invalid teacher ID');
     }
+
+    socket.leave(`teacher_notifications_${id}`);
+    console.log(`✅ User ${userId} (${socket.id}) left teacher notifications for ${id}`);
+    replyToRoomRequest(socket, ack, `teacher_notifications_${id}`, true, 'Left notifications');
   });
 
   // Handle disconnection
@@ -1026,6 +1084,12 @@ const startServer = async () => {
       console.log(`🔗 API base URL: http://localhost:${PORT}/api`);
       console.log(`⚡ Socket.IO enabled for real-time updates`);
       console.log(`🔄 Circuit breaker reset: POST http://localhost:${PORT}/health/reset-circuit-breaker`);
+
+      // Permanently remove batches deleted longer ago than the grace period
+      startBatchPurgeJob();
+
+      // Remind students about practicals that are coming due
+      startDeadlineReminderJob(io);
     });
     
   } catch (error) {
@@ -0,0 +1,52 @@
+const { executeQuery } = require('./database');
+
+/**
+ * Batch Lifecycle Service
+ * Deleting a batch only sets batches.deleted_at; the owner can restore it until the
+ * grace period runs out, after which the purge job removes it for good (and, through
+ * ON DELETE CASCADE, its members, submissions, announcements and notifications).
+ * Archived batches (batches.archived_at) stay readable but accept no new work.
+ */
+
+// Days a deleted batch can still be restored (BATCH_PURGE_GRACE_DAYS, default 30)
+const BATCH_PURGE_GRACE_DAYS = parseInt(process.env.BATCH_PURGE_GRACE_DAYS) || 30;
+
+// How often the purge job looks for expired batches
+const BATCH_PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Permanently delete batches whose grace period has ended
+ * @returns {Promise<number>} Number of batches purged
+ */
+const purgeDeletedBatches = async () => {
+  const result = await executeQuery(
+    'DELETE FROM batches WHERE deleted_at IS NOT NULL AND deleted_at <= DATE_SUB(NOW(), INTERVAL ? DAY)',
+    [BATCH_PURGE_GRACE_DAYS]
+  );
+
+  if (result.affectedRows > 0) {
+    console.log(`🗑️ Purged ${result.affectedRows} batch(es) deleted more than ${BATCH_PURGE_GRACE_DAYS} days ago`);
+  }
+
+  return result.affectedRows;
+};
+
+/**
+ * Run the purge now and then every BATCH_PURGE_INTERVAL_MS
+ * Failures are logged and retried on the next run
+ * @returns {NodeJS.Timeout} Interval handle (unref'd so it never keeps the process alive)
+ */
+const startBatchPurgeJob = () => {
+  const run = () => purgeDeletedBatches().catch(error => {
+    console.error('❌ Batch purge error:', error.message);
+  });
+
+  run();
+  return setInterval(run, BATCH_PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  BATCH_PURGE_GRACE_DAYS,
+  purgeDeletedBatches,
+  startBatchPurgeJob
+};
@@ -0,0 +1,381 @@
+const { executeQuery } = require('./database');
+const { notifyUsers } = require('./notificationService');
+const { userRoom, batchRoom } = require('./realtime');
+const { getBatchManagerIds } = require('./batchStaffService');
+
+/**
+ * Batch Membership Service
+ * Single place where students are added to a batch, whatever the entry point
+ * (password join, invite link, join code or an approved join request), so the teacher
+ * is notified the same way. Batches with requires_approval get a pending request instead.
+ * Removals (teacher removal, block, student leaving) also go through here so open pages
+ * receive batchMemberJoined / batchMemberRemoved (with the reason only for staff and the student).
+ */
+
+/**
+ * Check whether a student is blocked from joining a batch
+ * @param {number} batchId - Batch ID
+ * @param {number} studentId - Student ID
+ * @returns {Promise<boolean>} True if blocked
+ */
+const isBlockedFromBatch = async (batchId, studentId) => {
+  const blocks = await executeQuery(
+    'SELECT 1 FROM batch_blocks WHERE batch_id = ? AND student_id = ?',
+    [batchId, studentId]
+  );
+  return blocks.length > 0;
+};
+
+/**
+ * Emit a roster change to everyone who may have the roster open
+ * The owner, co-teachers and the student get the full event; classmates in the batch room
+ * only learn that the member list changed, never why
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {Object} batch - { batch_id, teacher_id }
+ * @param {number} studentId - Student who joined or left
+ * @param {string} event - batchMemberJoined or batchMemberRemoved
+ * @param {Object} payload - Extra event fields for staff and the student
+ * @returns {Promise<void>}
+ */
+const emitRosterChange = async (io, batch, studentId, event, payload = {}) => {
+  if (!io) {
+    return;
+  }
+
+  try {
+    const rooms = [...new Set([...await getBatchManagerIds(batch.batch_id), studentId].map(userRoom))];
+
+    io.to(rooms).emit(event, {
+      batchId: batch.batch_id,
+      studentId,
+      ...payload
+    });
+    io.to(batchRoom(batch.batch_id)).except(rooms).emit(event, {
+      batchId: batch.batch_id,
+      studentId
+    });
+  } catch (error) {
+    console.error('Error emitting roster change:', error);
+    // Don't fail the roster change if real-time delivery fails
+  }
+};
+
+/**
+ * Add a student to a batch and notify the batch teacher
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {Object} batch - { batch_id, name, teacher_id }
+ * @param {number} studentId - Student joining the batch
+ * @param {Object} options - { notifyTeacher } skip the teacher notification (e.g. the teacher approved the join)
+ * @returns {Promise<boolean>} False if the student was already a member
+ */
+const addStudentToBatch = async (io, batch, studentId, { notifyTeacher = true } = {}) => {
+  try {
+    await executeQuery(
+      'INSERT INTO batch_members (batch_id, student_id) VALUES (?, ?)',
+      [batch.batch_id, studentId]
+    );
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return false;
+    }
+    throw error;
+  }
+
+  await emitRosterChange(io, batch, studentId, 'batchMemberJoined');
+
+  if (!notifyTeacher) {
+    return true;
+  }
+
+  // Get student information for notification
+  const studentData = await executeQuery(`
+    SELECT 
+      u.name as student_name,
+      u.email as student_email,
+      sp.roll_number as student_roll_number,
+      sp.profile_picture_url as student_avatar
+    FROM users u
+    LEFT JOIN student_profiles sp ON u.user_id = sp.user_id
+    WHERE u.user_id = ?
+  `, [studentId]);
+
+  const student = studentData[0];
+
+  // Create notification for teacher
+  const { createNotification } = require('../controllers/notificationController');
+
+  try {
+    await createNotification({
+      body: {
+        teacherId: batch.teacher_id,
+        studentId,
+        batchId: batch.batch_id,
+        submissionId: null, // No submission for batch join
+        type: 'batch_join',
+        title: `New Student Joined ${batch.name}`,
+        message: `${student.student_name} has joined your batch "${batch.name}"`
+      }
+    }, {
+      json: () => {} // Mock response for internal call
+    });
+  } catch (notificationError) {
+    console.error('Error creating batch join notification:', notificationError);
+    // Don't fail the join if notification fails
+  }
+
+  // Send real-time notification to teacher
+  if (io) {
+    io.to(`teacher_notifications_${batch.teacher_id}`).emit('new_notification', {
+      id: Date.now(), // Temporary ID for real-time update
+      type: 'batch_join',
+      user: {
+        name: student.student_name,
+        email: student.student_email,
+        roll_number: student.student_roll_number,
+        avatar: student.student_avatar,
+        fallback: student.student_name.charAt(0).toUpperCase()
+      },
+      action: 'joined',
+      target: batch.name,
+      content: `${student.student_name} has joined your batch`,
+      timestamp: new Date().toLocaleDateString('en-US', {
+        weekday: 'long',
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true
+      }),
+      timeAgo: 'Just now',
+      isRead: false,
+      submission_id: null,
+      batch_id: batch.batch_id,
+      batch_name: batch.name
+    });
+  }
+
+  return true;
+};
+
+/**
+ * Create a pending join request for a batch that requires approval and notify the teacher
+ * A previously denied student can ask again; the same request row is reopened
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {Object} batch - { batch_id, name, teacher_id }
+ * @param {number} studentId - Student asking to join
+ * @returns {Promise<string>} 'requested', or 'member' / 'pending' when nothing was created
+ */
+const requestToJoinBatch = async (io, batch, studentId) => {
+  const members = await executeQuery(
+    'SELECT 1 FROM batch_members WHERE batch_id = ? AND student_id = ?',
+    [batch.batch_id, studentId]
+  );
+  if (members.length > 0) {
+    return 'member';
+  }
+
+  const requests = await executeQuery(
+    'SELECT request_id, status FROM batch_join_requests WHERE batch_id = ? AND student_id = ?',
+    [batch.batch_id, studentId]
+  );
+
+  if (requests.length > 0 && requests[0].status === 'pending') {
+    return 'pending';
+  }
+
+  if (requests.length > 0) {
+    await executeQuery(
+      "UPDATE batch_join_requests SET status = 'pending', decided_by = NULL, decided_at = NULL, created_at = NOW() WHERE request_id = ?",
+      [requests[0].request_id]
+    );
+  } else {
+    try {
+      await executeQuery(
+        'INSERT INTO batch_join_requests (batch_id, student_id) VALUES (?, ?)',
+        [batch.batch_id, studentId]
+      );
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return 'pending';
+      }
+      throw error;
+    }
+  }
+
+  const students = await executeQuery('SELECT name FROM users WHERE user_id = ?', [studentId]);
+
+  try {
+    await notifyUsers(io, [batch.teacher_id], {
+      type: 'batch_join',
+      title: `Join request for ${batch.name}`,
+      message: `${students[0].name} has asked to join your batch "${batch.name}"`,
+      actorId: studentId,
+      batchId: batch.batch_id
+    });
+  } catch (notificationError) {
+    console.error('Error creating join request notification:', notificationError);
+    // Don't fail the request if notification fails
+  }
+
+  console.log(`🙋 Student ${studentId} requested to join batch ${batch.batch_id}`);
+  return 'requested';
+};
+
+/**
+ * Remove a student from a batch
+ * The student's sockets leave the batch room; removed and blocked students are notified
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {Object} batch - { batch_id, name, teacher_id }
+ * @param {number} studentId - Student to remove
+ * @param {Object} options - { reason: 'removed' | 'blocked' | 'left', actorId }
+ * @returns {Promise<boolean>} False if the student was not a member
+ */
+const removeStudentFromBatch = async (io, batch, studentId, { reason, actorId = null }) => {
+  const result = await executeQuery(
+    'DELETE FROM batch_members WHERE batch_id = ? AND student_id = ?',
+    [batch.batch_id, studentId]
+  );
+
+  if (result.affectedRows === 0) {
+    return false;
+  }
+
+  await emitRosterChange(io, batch, studentId, 'batchMemberRemoved', { reason });
+  if (io) {
+    io.in(userRoom(studentId)).socketsLeave(batchRoom(batch.batch_id));
+  }
+
+  if (reason !== 'left') {
+    try {
+      await notifyUsers(io, [studentId], {
+        type: 'batch_removed',
+        title: `Removed from ${batch.name}`,
+        message: `You have been removed from the batch "${batch.name}"`,
+        actorId,
+        batchId: batch.batch_id
+      });
+    } catch (notificationError) {
+      console.error('Error creating batch removal notification:', notificationError);
+      // Don't fail the removal if notification fails
+    }
+  }
+
+  console.log(`👋 Student ${studentId} ${reason === 'left' ? 'left' : 'removed from'} batch ${batch.batch_id} (${reason})`);
+  return true;
+};
+
+/**
+ * Tell a student they were enrolled in a batch on their behalf (roster import)
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {Object} batch - { batch_id, name, teacher_id }
+ * @param {number} studentId - Enrolled student
+ */
+const notifyStudentEnrolled = async (io, batch, studentId) => {
+  try {
+    await notifyUsers(io, [studentId], {
+      type: 'batch_enrolled',
+      title: `Added to ${batch.name}`,
+      message: `You have been enrolled in the batch "${batch.name}"`,
+      actorId: batch.teacher_id,
+      batchId: batch.batch_id
+    });
+  } catch (notificationError) {
+    console.error('Error creating enrollment notification:', notificationError);
+    // Don't fail the enrollment if notification fails
+  }
+};
+
+/**
+ * Enroll a student in every batch whose roster import listed their email
+ * Called on sign-up and sign-in; invitations already accepted are skipped
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {number} studentId - New student's user ID
+ * @param {string} email - Email from the Firebase token (callers must check it is verified)
+ * @returns {Promise<Array>} Batches joined ({ batchId, batchName })
+ */
+const attachRosterInvitations = async (io, studentId, email) => {
+  if (!email) {
+    return [];
+  }
+
+  const invitations = await executeQuery(`
+    SELECT i.invitation_id, i.roll_number, b.batch_id, b.name, b.teacher_id
+    FROM batch_roster_invitations i
+    JOIN batches b ON i.batch_id = b.batch_id
+    WHERE i.email = ? AND i.accepted_at IS NULL AND b.archived_at IS NULL AND b.deleted_at IS NULL
+    ORDER BY i.created_at ASC
+  `, [email.toLowerCase()]);
+
+  const joined = [];
+
+  for (const invitation of invitations) {
+    if (await isBlockedFromBatch(invitation.batch_id, studentId)) {
+      continue;
+    }
+
+    await addStudentToBatch(io, invitation, studentId);
+    await executeQuery(
+      'UPDATE batch_roster_invitations SET accepted_user_id = ?, accepted_at = NOW() WHERE invitation_id = ?',
+      [studentId, invitation.invitation_id]
+    );
+    await notifyStudentEnrolled(io, invitation, studentId);
+
+    joined.push({ batchId: invitation.batch_id, batchName: invitation.name });
+  }
+
+  // Fill in the roll number from the roster if the student did not provide one
+  const rollNumber = invitations.find(invitation => invitation.roll_number)?.roll_number;
+  if (rollNumber) {
+    await executeQuery(
+      "UPDATE student_profiles SET roll_number = ? WHERE user_id = ? AND (roll_number IS NULL OR roll_number = '')",
+      [rollNumber, studentId]
+    );
+  }
+
+  if (joined.length > 0) {
+    console.log(`📥 Student ${studentId} auto-enrolled in ${joined.length} batches from roster invitations`);
+  }
+
+  return joined;
+};
+
+/**
+ * Respond to a join attempt on a batch that requires approval
+ * Shared by password joins and invite joins so both report the same outcome
+ * @param {Object} res - Express response object
+ * @param {Object} batch - { batch_id, name }
+ * @param {string} outcome - Result of requestToJoinBatch
+ */
+const sendJoinRequestResponse = (res, batch, outcome) => {
+  if (outcome === 'member') {
+    return res.status(409).json({
+      success: false,
+      message: 'You are already a member of this batch'
+    });
+  }
+
+  if (outcome === 'pending') {
+    return res.status(409).json({
+      success: false,
+      message: 'Your request to join this batch is already pending'
+    });
+  }
+
+  return res.status(202).json({
+    success: true,
+    message: `Join request sent to the teacher of ${batch.name}`,
+    data: {
+      batchId: batch.batch_id,
+      batchName: batch.name,
+      status: 'pending'
+    }
+  });
+};
+
+module.exports = {
+  isBlockedFromBatch,
+  addStudentToBatch,
+  removeStudentFromBatch,
+  notifyStudentEnrolled,
+  attachRosterInvitations,
+  requestToJoinBatch,
+  sendJoinRequestResponse
+};
@@ -0,0 +1,42 @@
+const { executeQuery } = require('./database');
+
+/**
+ * Batch Staff Service
+ * Lookups shared by controllers that deliver events to everyone teaching a batch
+ * (the owner in batches.teacher_id plus co-teachers and TAs in batch_staff).
+ */
+
+/**
+ * Get the user IDs of a batch's owner and staff
+ * @param {number} batchId - Batch ID
+ * @returns {Promise<number[]>} Owner first, then co-teachers and TAs
+ */
+const getBatchStaffIds = async (batchId) => {
+  const rows = await executeQuery(`
+    SELECT teacher_id as user_id FROM batches WHERE batch_id = ?
+    UNION
+    SELECT user_id FROM batch_staff WHERE batch_id = ?
+  `, [batchId, batchId]);
+
+  return rows.map(row => row.user_id);
+};
+
+/**
+ * Get the user IDs of the people who manage a batch's roster
+ * @param {number} batchId - Batch ID
+ * @returns {Promise<number[]>} Owner first, then co-teachers (TAs are left out)
+ */
+const getBatchManagerIds = async (batchId) => {
+  const rows = await executeQuery(`
+    SELECT teacher_id as user_id FROM batches WHERE batch_id = ?
+    UNION
+    SELECT user_id FROM batch_staff WHERE batch_id = ? AND role = 'co_teacher'
+  `, [batchId, batchId]);
+
+  return rows.map(row => row.user_id);
+};
+
+module.exports = {
+  getBatchStaffIds,
+  getBatchManagerIds
+};
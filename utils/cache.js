@@ -51,6 +51,9 @@ const CacheKeys = {
   user: (userId) => `user:${userId}`,
   userProfile: (userId) => `user_profile:${userId}`,
   
+  // Session revocation status
+  sessionStatus: (sessionId) => `session_status:${sessionId}`,
+  
   // Batch data
   batch: (batchId) => `batch:${batchId}`,
   batchMembers: (batchId) => `batch_members:${batchId}`,
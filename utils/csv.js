@@ -0,0 +1,74 @@
+/**
+ * CSV Helpers
+ * Minimal RFC 4180 parser for small uploads such as roster imports
+ * Supports quoted fields, escaped quotes ("") and CRLF or LF line endings.
+ */
+
+/**
+ * Parse CSV text into rows of trimmed fields
+ * Blank lines are skipped; the caller decides whether the first row is a header
+ * @param {string} text - CSV content
+ * @returns {Array<{ line: number, fields: string[] }>} Rows with their 1-based line number
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    fields.push(field.trim());
+    field = '';
+  };
+
+  const endRow = () => {
+    endField();
+    if (fields.some(value => value !== '')) {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+  };
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  endRow();
+  return rows;
+};
+
+module.exports = {
+  parseCsv
+};
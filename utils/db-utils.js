@@ -75,7 +75,7 @@ const getTeacherNotifications = async (teacherId, page = 1, limit = 10) => {
   const countQuery = `
     SELECT COUNT(*) as total
     FROM notifications n
-    WHERE n.teacher_id = ?
+    WHERE n.recipient_id = ?
   `;
   const countResult = await executeWithRetry(countQuery, [teacherId]);
   const total = countResult[0].total;
@@ -86,9 +86,9 @@ const getTeacherNotifications = async (teacherId, page = 1, limit = 10) => {
            s.name as student_name, s.email as student_email,
            b.name as batch_name
     FROM notifications n
-    LEFT JOIN users s ON n.student_id = s.user_id
+    LEFT JOIN users s ON n.actor_id = s.user_id
     LEFT JOIN batches b ON n.batch_id = b.batch_id
-    WHERE n.teacher_id = ?
+    WHERE n.recipient_id = ?
     ORDER BY n.created_at DESC
     LIMIT ? OFFSET ?
   `;
@@ -0,0 +1,133 @@
+const admin = require('firebase-admin');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Firebase ID Token Verification
+ * Verifies ID tokens issued by Firebase Authentication before the backend
+ * trusts any uid/email claims. The verifier is pluggable so tests can swap
+ * the Firebase Admin SDK for tokens signed with a local key pair.
+ */
+
+let firebaseApp = null;
+let tokenVerifier = null;
+
+/**
+ * Lazily initialize the Firebase Admin app from environment variables
+ * Falls back to project-only initialization, which is enough for ID token verification
+ */
+const getFirebaseApp = () => {
+  if (firebaseApp) {
+    return firebaseApp;
+  }
+
+  const projectId = process.env.FIREBASE_PROJECT_ID;
+  const clientEmail = process.env.FIREBASE_ADMIN_CLIENT_EMAIL || process.env.FIREBASE_CLIENT_EMAIL;
+  const privateKey = process.env.FIREBASE_ADMIN_PRIVATE_KEY || process.env.FIREBASE_PRIVATE_KEY;
+
+  if (!projectId) {
+    throw new Error('FIREBASE_PROJECT_ID environment variable is not set');
+  }
+
+  const options = { projectId };
+  if (clientEmail && privateKey) {
+    options.credential = admin.credential.cert({
+      projectId,
+      clientEmail,
+      // Env files store the key with escaped newlines
+      privateKey: privateKey.replace(/\\n/g, '\n')
+    });
+  }
+
+  firebaseApp = admin.apps.length > 0 ? admin.app() : admin.initializeApp(options);
+  console.log('🔥 Firebase Admin initialized for project:', projectId);
+  return firebaseApp;
+};
+
+/**
+ * Default verifier backed by the Firebase Admin SDK
+ * @param {string} idToken - Firebase ID token from the client
+ * @returns {Promise<Object>} Decoded token claims
+ */
+const firebaseAdminVerifier = async (idToken) => {
+  return getFirebaseApp().auth().verifyIdToken(idToken);
+};
+
+/**
+ * Create a verifier for tokens signed with a locally held key
+ * Mirrors the checks Firebase performs (RS256, audience, issuer, subject)
+ * @param {string} publicKey - PEM encoded public key (or secret for HS256)
+ * @param {Object} options - Verification options
+ * @param {string} options.projectId - Expected Firebase project ID
+ * @param {string[]} options.algorithms - Accepted signing algorithms (default: RS256)
+ * @returns {Function} Verifier usable with setTokenVerifier
+ */
+const createKeyVerifier = (publicKey, { projectId, algorithms = ['RS256'] } = {}) => {
+  return async (idToken) => {
+    const decoded = jwt.verify(idToken, publicKey, {
+      algorithms,
+      ...(projectId && {
+        audience: projectId,
+        issuer: `https://securetoken.google.com/${projectId}`
+      })
+    });
+
+    if (!decoded.sub) {
+      throw new Error('ID token has no subject');
+    }
+
+    return { ...decoded, uid: decoded.sub };
+  };
+};
+
+/**
+ * Replace the verifier used by verifyIdToken
+ * @param {Function} verifier - async (idToken) => decoded claims
+ */
+const setTokenVerifier = (verifier) => {
+  if (typeof verifier !== 'function') {
+    throw new TypeError('Token verifier must be a function');
+  }
+  tokenVerifier = verifier;
+};
+
+/**
+ * Restore the default Firebase Admin verifier
+ */
+const resetTokenVerifier = () => {
+  tokenVerifier = null;
+};
+
+/**
+ * Verify a Firebase ID token and normalize its claims
+ * @param {string} idToken - Firebase ID token from the client
+ * @returns {Promise<Object>} { uid, email, emailVerified, name, picture, claims }
+ */
+const verifyIdToken = async (idToken) => {
+  if (!idToken || typeof idToken !== 'string') {
+    throw new Error('ID token is required');
+  }
+
+  const verifier = tokenVerifier || firebaseAdminVerifier;
+  const decoded = await verifier(idToken);
+  const uid = decoded.uid || decoded.sub;
+
+  if (!uid) {
+    throw new Error('Verified token has no uid');
+  }
+
+  return {
+    uid,
+    email: decoded.email || null,
+    emailVerified: decoded.email_verified === true,
+    name: decoded.name || null,
+    picture: decoded.picture || null,
+    claims: decoded
+  };
+};
+
+module.exports = {
+  verifyIdToken,
+  setTokenVerifier,
+  resetTokenVerifier,
+  createKeyVerifier
+};
@@ -0,0 +1,156 @@
+const { executeQuery } = require('./database');
+
+/**
+ * Grading Service
+ * Rubrics, per-criterion scores and marks shared by the practical and submission controllers.
+ * A criterion's levels describe what earns how many points; its weight is its share of the marks.
+ * With a rubric the marks are the weighted criterion scores scaled to the practical's max_marks
+ * (or, without max_marks, out of the total weight). submission_grades stores the marks before
+ * any late penalty; the penalised total is worked out from late_penalty_percent when read.
+ */
+
+// Grade columns for submission queries that LEFT JOIN submission_grades g (submissions aliased s)
+const GRADE_COLUMNS = `
+  g.marks_awarded,
+  g.max_marks,
+  ROUND(g.marks_awarded * (100 - s.late_penalty_percent) / 100, 2) as total_marks,
+  g.graded_by,
+  g.graded_at`;
+
+/**
+ * Highest points any level of a criterion gives
+ * @param {Object} criterion - practical_rubric_criteria row
+ * @returns {number} Points for full marks on the criterion
+ */
+const getCriterionMaxPoints = (criterion) =>
+  Math.max(...criterion.levels.map(level => Number(level.points)));
+
+/**
+ * Load a practical's rubric in order
+ * @param {number} practicalId - Practical ID
+ * @returns {Promise<Array>} practical_rubric_criteria rows (empty when it has no rubric)
+ */
+const getRubric = async (practicalId) => {
+  return executeQuery(
+    'SELECT * FROM practical_rubric_criteria WHERE practical_id = ? ORDER BY position ASC, criterion_id ASC',
+    [practicalId]
+  );
+};
+
+/**
+ * Shape a rubric criterion for API responses
+ * @param {Object} criterion - practical_rubric_criteria row
+ * @returns {Object} Client-facing criterion
+ */
+const formatCriterion = (criterion) => ({
+  criterionId: criterion.criterion_id,
+  title: criterion.title,
+  description: criterion.description,
+  weight: Number(criterion.weight),
+  maxPoints: getCriterionMaxPoints(criterion),
+  levels: criterion.levels
+});
+
+/**
+ * Round to the two decimals the marks columns store
+ * @param {number} value - Raw value
+ * @returns {number} Rounded value
+ */
+const roundMarks = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Work out the marks for a set of rubric scores
+ * Every criterion must be scored exactly once, within its levels' points
+ * @param {Array} criteria - Rubric rows from getRubric
+ * @param {Array} scores - [{ criterionId, points }]
+ * @param {number|null} maxMarks - The practical's max_marks
+ * @returns {Object} { marksAwarded, maxMarks } or { error }
+ */
+const computeRubricMarks = (criteria, scores, maxMarks) => {
+  const pointsByCriterion = new Map();
+
+  for (const score of scores) {
+    const criterion = criteria.find(c => c.criterion_id === score.criterionId);
+    if (!criterion) {
+      return { error: `Criterion ${score.criterionId} is not part of this practical's rubric` };
+    }
+    if (pointsByCriterion.has(score.criterionId)) {
+      return { error: `Criterion "${criterion.title}" is scored more than once` };
+    }
+    if (score.points > getCriterionMaxPoints(criterion)) {
+      return { error: `Criterion "${criterion.title}" allows at most ${getCriterionMaxPoints(criterion)} points` };
+    }
+    pointsByCriterion.set(score.criterionId, score.points);
+  }
+
+  const unscored = criteria.filter(c => !pointsByCriterion.has(c.criterion_id));
+  if (unscored.length > 0) {
+    return { error: `Score every criterion; missing: ${unscored.map(c => c.title).join(', ')}` };
+  }
+
+  const totalWeight = criteria.reduce((sum, c) => sum + Number(c.weight), 0);
+  const weighted = criteria.reduce((sum, c) => {
+    const maxPoints = getCriterionMaxPoints(c);
+    return sum + (maxPoints > 0 ? Number(c.weight) * pointsByCriterion.get(c.criterion_id) / maxPoints : 0);
+  }, 0);
+
+  const scale = maxMarks ?? totalWeight;
+
+  return {
+    marksAwarded: roundMarks(weighted / totalWeight * scale),
+    maxMarks: roundMarks(scale)
+  };
+};
+
+/**
+ * Load a submission's grade with its per-criterion scores
+ * @param {number} submissionId - Submission ID
+ * @returns {Promise<Object|null>} Client-facing grade or null if not graded
+ */
+const getSubmissionGrade = async (submissionId) => {
+  const grades = await executeQuery(`
+    SELECT ${GRADE_COLUMNS}, s.late_penalty_percent
+    FROM submission_grades g
+    JOIN submissions s ON g.submission_id = s.submission_id
+    WHERE g.submission_id = ?
+  `, [submissionId]);
+
+  if (grades.length === 0) {
+    return null;
+  }
+
+  const scores = await executeQuery(`
+    SELECT c.criterion_id, c.title, c.weight, c.levels, sc.points
+    FROM submission_criterion_scores sc
+    JOIN practical_rubric_criteria c ON sc.criterion_id = c.criterion_id
+    WHERE sc.submission_id = ?
+    ORDER BY c.position ASC, c.criterion_id ASC
+  `, [submissionId]);
+
+  const grade = grades[0];
+
+  return {
+    marksAwarded: Number(grade.marks_awarded),
+    latePenaltyPercent: Number(grade.late_penalty_percent),
+    totalMarks: Number(grade.total_marks),
+    maxMarks: grade.max_marks === null ? null : Number(grade.max_marks),
+    gradedBy: grade.graded_by,
+    gradedAt: grade.graded_at,
+    scores: scores.map(score => ({
+      criterionId: score.criterion_id,
+      title: score.title,
+      weight: Number(score.weight),
+      points: Number(score.points),
+      maxPoints: getCriterionMaxPoints(score),
+      level: score.levels.find(level => Number(level.points) === Number(score.points))?.label || null
+    }))
+  };
+};
+
+module.exports = {
+  GRADE_COLUMNS,
+  getRubric,
+  formatCriterion,
+  computeRubricMarks,
+  getSubmissionGrade
+};
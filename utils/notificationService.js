@@ -0,0 +1,104 @@
+const { executeQuery } = require('./database');
+const { emitToUsers } = require('./realtime');
+
+/**
+ * Notification Service
+ * Recipient-based notifications shared by every role
+ * A notification row belongs to exactly one recipient; actor_id records who triggered it
+ * (NULL for system notifications such as deadline reminders).
+ */
+
+const NOTIFICATION_TYPES = [
+  'submission',
+  'announcement',
+  'batch_join',
+  'submission_accepted',
+  'submission_rejected',
+  'deadline_reminder',
+  'batch_removed',
+  'join_request_approved',
+  'join_request_denied',
+  'batch_enrolled',
+  'submission_graded',
+  'submission_comment',
+  'submission_changes_requested'
+];
+
+/**
+ * Shape a notification row for API responses and socket events
+ * @param {Object} row - Row from the notifications query
+ * @returns {Object} Client-facing notification
+ */
+const formatNotification = (row) => ({
+  id: row.notification_id,
+  type: row.type,
+  title: row.title,
+  message: row.message,
+  isRead: Boolean(row.is_read),
+  createdAt: row.created_at,
+  batchId: row.batch_id,
+  batchName: row.batch_name || null,
+  submissionId: row.submission_id,
+  actor: row.actor_id ? { id: row.actor_id, name: row.actor_name || null } : null
+});
+
+/**
+ * Create the same notification for one or more recipients and push it to their private rooms
+ * @param {Object} io - Socket.IO server instance (optional, skips real-time delivery when missing)
+ * @param {number[]} recipientIds - Users who should receive the notification
+ * @param {Object} notification - { type, title, message, actorId?, batchId?, submissionId? }
+ * @returns {Promise<number>} Number of notifications created
+ */
+const notifyUsers = async (io, recipientIds, { type, title, message, actorId = null, batchId = null, submissionId = null }) => {
+  if (!NOTIFICATION_TYPES.includes(type)) {
+    throw new Error(`Invalid notification type: ${type}`);
+  }
+
+  const recipients = [...new Set(recipientIds.filter(Boolean))];
+  if (recipients.length === 0) {
+    return 0;
+  }
+
+  // One insert per recipient so each socket event carries its row's real ID
+  const createdAt = new Date();
+  for (const recipientId of recipients) {
+    const result = await executeQuery(
+      'INSERT INTO notifications (recipient_id, actor_id, batch_id, submission_id, type, title, message) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [recipientId, actorId, batchId, submissionId, type, title, message]
+    );
+
+    emitToUsers(io, [recipientId], 'new_notification', formatNotification({
+      notification_id: result.insertId,
+      type,
+      title,
+      message,
+      is_read: false,
+      created_at: createdAt,
+      batch_id: batchId,
+      submission_id: submissionId,
+      actor_id: actorId
+    }));
+  }
+
+  return recipients.length;
+};
+
+/**
+ * Count a user's unread notifications
+ * @param {number} recipientId - User ID
+ * @returns {Promise<number>} Unread count
+ */
+const getUnreadCount = async (recipientId) => {
+  const rows = await executeQuery(
+    'SELECT COUNT(*) as count FROM notifications WHERE recipient_id = ? AND is_read = FALSE',
+    [recipientId]
+  );
+  return rows[0].count;
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  formatNotification,
+  notifyUsers,
+  getUnreadCount
+};
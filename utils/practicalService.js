@@ -0,0 +1,191 @@
+const { executeQuery } = require('./database');
+const { notifyUsers } = require('./notificationService');
+
+/**
+ * Practical Service
+ * Lookups and rules shared by the practical and submission controllers.
+ * A practical belongs to exactly one batch; submissions link to it through practical_id.
+ * Its late_policy decides what happens after due_at: 'hard_close' rejects submissions and edits,
+ * 'allow_late' accepts them flagged as late, 'penalty' also deducts late_penalty_per_day percent
+ * of the marks for every started day (capped at 100).
+ * Students who have not submitted get one deadline_reminder as due_at approaches;
+ * reminder_sent_at is cleared when the due date changes so the new date is reminded too.
+ */
+
+const LATE_POLICIES = ['hard_close', 'allow_late', 'penalty'];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Hours before due_at when students are reminded (DEADLINE_REMINDER_HOURS, default 24)
+const DEADLINE_REMINDER_HOURS = parseInt(process.env.DEADLINE_REMINDER_HOURS) || 24;
+
+// How often the reminder job looks for practicals coming due
+const DEADLINE_REMINDER_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Load a practical that belongs to the given batch
+ * @param {number} batchId - Batch ID
+ * @param {number} practicalId - Practical ID
+ * @returns {Promise<Object|null>} practicals row or null
+ */
+const getBatchPractical = async (batchId, practicalId) => {
+  const practicals = await executeQuery(
+    'SELECT * FROM practicals WHERE practical_id = ? AND batch_id = ?',
+    [practicalId, batchId]
+  );
+  return practicals[0] || null;
+};
+
+/**
+ * Check a submission's code language against the practical's allowed languages
+ * An empty or missing list allows any language; submissions without a language always pass
+ * @param {Object} practical - practicals row
+ * @param {string|null} codeLanguage - Language from the submission
+ * @returns {boolean} True if allowed
+ */
+const isLanguageAllowed = (practical, codeLanguage) => {
+  const allowed = practical.allowed_languages || [];
+  if (!codeLanguage || allowed.length === 0) {
+    return true;
+  }
+  return allowed.some(language => language.toLowerCase() === codeLanguage.toLowerCase());
+};
+
+/**
+ * Work out whether work handed in now is late for a practical
+ * @param {Object|null} practical - practicals row (null for submissions without a practical)
+ * @param {Date} now - Time of the submission or edit
+ * @returns {Object} { closed, isLate, minutesLate, penaltyPercent }
+ */
+const evaluateDeadline = (practical, now = new Date()) => {
+  const onTime = { closed: false, isLate: false, minutesLate: 0, penaltyPercent: 0 };
+
+  if (!practical || !practical.due_at || now <= new Date(practical.due_at)) {
+    return onTime;
+  }
+
+  if (practical.late_policy === 'hard_close') {
+    return { ...onTime, closed: true };
+  }
+
+  const minutesLate = Math.ceil((now - new Date(practical.due_at)) / 60000);
+  const daysLate = Math.ceil(minutesLate / MINUTES_PER_DAY);
+  const penaltyPercent = practical.late_policy === 'penalty'
+    ? Math.min(100, daysLate * Number(practical.late_penalty_per_day))
+    : 0;
+
+  return { closed: false, isLate: true, minutesLate, penaltyPercent };
+};
+
+/**
+ * Reject work handed in after a hard-close deadline
+ * @param {Object} res - Express response object
+ * @param {Object} practical - practicals row
+ */
+const sendDeadlinePassed = (res, practical) => res.status(403).json({
+  success: false,
+  message: `Submissions for "${practical.title}" closed at the due date`,
+  error: 'DEADLINE_PASSED',
+  dueAt: practical.due_at
+});
+
+/**
+ * Shape a practical row for API responses
+ * @param {Object} practical - practicals row (optionally with count columns)
+ * @returns {Object} Client-facing practical
+ */
+const formatPractical = (practical) => ({
+  practicalId: practical.practical_id,
+  batchId: practical.batch_id,
+  title: practical.title,
+  instructions: practical.instructions,
+  dueAt: practical.due_at,
+  allowedLanguages: practical.allowed_languages || [],
+  maxMarks: practical.max_marks,
+  latePolicy: practical.late_policy,
+  latePenaltyPerDay: Number(practical.late_penalty_per_day),
+  maxAttempts: practical.max_attempts,
+  attachments: practical.attachments || [],
+  createdBy: practical.created_by,
+  createdAt: practical.created_at,
+  updatedAt: practical.updated_at
+});
+
+/**
+ * Remind students who have not submitted yet about practicals due within DEADLINE_REMINDER_HOURS
+ * Each practical is claimed with a conditional UPDATE so concurrent runs never remind twice
+ * @param {Object} io - Socket.IO server instance
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const sendDeadlineReminders = async (io) => {
+  const practicals = await executeQuery(`
+    SELECT p.practical_id, p.batch_id, p.title, p.due_at, b.name as batch_name
+    FROM practicals p
+    JOIN batches b ON p.batch_id = b.batch_id
+    WHERE p.reminder_sent_at IS NULL
+      AND p.due_at > NOW()
+      AND p.due_at <= DATE_ADD(NOW(), INTERVAL ? HOUR)
+      AND b.archived_at IS NULL
+      AND b.deleted_at IS NULL
+  `, [DEADLINE_REMINDER_HOURS]);
+
+  let sent = 0;
+  for (const practical of practicals) {
+    const claim = await executeQuery(
+      'UPDATE practicals SET reminder_sent_at = NOW() WHERE practical_id = ? AND reminder_sent_at IS NULL',
+      [practical.practical_id]
+    );
+    if (claim.affectedRows === 0) {
+      continue;
+    }
+
+    const students = await executeQuery(`
+      SELECT bm.student_id
+      FROM batch_members bm
+      WHERE bm.batch_id = ?
+        AND NOT EXISTS (
+          SELECT 1 FROM submissions s WHERE s.practical_id = ? AND s.student_id = bm.student_id
+        )
+    `, [practical.batch_id, practical.practical_id]);
+
+    sent += await notifyUsers(io, students.map(student => student.student_id), {
+      type: 'deadline_reminder',
+      title: 'Practical due soon',
+      message: `"${practical.title}" in ${practical.batch_name} is due ${new Date(practical.due_at).toLocaleString()}`,
+      batchId: practical.batch_id
+    });
+  }
+
+  if (sent > 0) {
+    console.log(`⏰ Sent ${sent} deadline reminder(s)`);
+  }
+
+  return sent;
+};
+
+/**
+ * Send deadline reminders now and then every DEADLINE_REMINDER_INTERVAL_MS
+ * Failures are logged and retried on the next run
+ * @param {Object} io - Socket.IO server instance
+ * @returns {NodeJS.Timeout} Interval handle (unref'd so it never keeps the process alive)
+ */
+const startDeadlineReminderJob = (io) => {
+  const run = () => sendDeadlineReminders(io).catch(error => {
+    console.error('❌ Deadline reminder error:', error.message);
+  });
+
+  run();
+  return setInterval(run, DEADLINE_REMINDER_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  LATE_POLICIES,
+  DEADLINE_REMINDER_HOURS,
+  getBatchPractical,
+  isLanguageAllowed,
+  evaluateDeadline,
+  sendDeadlinePassed,
+  formatPractical,
+  sendDeadlineReminders,
+  startDeadlineReminderJob
+};
@@ -0,0 +1,67 @@
+/**
+ * Real-time Delivery Helpers
+ * Central naming for Socket.IO rooms and targeted emits
+ * Every authenticated socket joins its private user room on connection, so events that
+ * concern one person (status changes, feedback) never go to a whole batch room.
+ */
+
+/**
+ * Private room for a single user
+ * @param {number} userId - User ID
+ * @returns {string} Room name
+ */
+const userRoom = (userId) => `user_${userId}`;
+
+/**
+ * Room for the sockets opened with one session's access token
+ * @param {number} sessionId - Session ID
+ * @returns {string} Room name
+ */
+const sessionRoom = (sessionId) => `session_${sessionId}`;
+
+/**
+ * Room shared by a batch's teacher and enrolled students
+ * @param {number} batchId - Batch ID
+ * @returns {string} Room name
+ */
+const batchRoom = (batchId) => `batch_${batchId}`;
+
+/**
+ * Emit an event to the private rooms of the given users
+ * A socket in several of the target rooms still receives the event once
+ * @param {Object} io - Socket.IO server instance
+ * @param {number[]} userIds - Recipients
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+const emitToUsers = (io, userIds, event, payload) => {
+  if (!io) {
+    return;
+  }
+
+  const rooms = [...new Set(userIds.filter(Boolean).map(userRoom))];
+  if (rooms.length > 0) {
+    io.to(rooms).emit(event, payload);
+  }
+};
+
+/**
+ * Disconnect every socket in the given rooms (e.g. when their session is revoked)
+ * @param {Object} io - Socket.IO server instance
+ * @param {string[]} rooms - Rooms whose sockets are closed
+ */
+const disconnectRooms = (io, rooms) => {
+  if (!io || rooms.length === 0) {
+    return;
+  }
+
+  io.in(rooms).disconnectSockets(true);
+};
+
+module.exports = {
+  userRoom,
+  sessionRoom,
+  batchRoom,
+  disconnectRooms,
+  emitToUsers
+};
@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { executeQuery } = require('./database');
+const { CacheKeys, CacheOperations } = require('./cache');
+const { userRoom, sessionRoom, disconnectRooms } = require('./realtime');
+
+/**
+ * Session Service
+ * Issues short-lived access tokens and rotating refresh tokens
+ * Each sign-in creates a session (token family) in user_sessions; every refresh
+ * consumes the presented refresh token and issues a new one in the same family.
+ * Presenting an already-used refresh token revokes the whole family.
+ * Revoking a session also disconnects the sockets opened with it, so a signed-out device
+ * stops receiving private events.
+ */
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '30', 10);
+
+// How long a positive "session is active" lookup is trusted before re-checking the database
+const ACTIVE_SESSION_CACHE_SECONDS = 30;
+// Revoked sessions stay in the revocation list at least as long as any access token they issued
+const REVOKED_SESSION_CACHE_SECONDS = 24 * 60 * 60;
+
+/**
+ * Hash a refresh token for storage (only hashes are persisted)
+ * @param {string} token - Raw refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate an opaque refresh token
+ * @returns {string} Random URL-safe token
+ */
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+/**
+ * Extract client metadata stored alongside a session
+ * @param {Object} req - Express request object
+ * @returns {Object} { userAgent, ipAddress }
+ */
+const getRequestMeta = (req) => ({
+  userAgent: (req.headers['user-agent'] || '').substring(0, 500) || null,
+  ipAddress: req.ip || req.socket?.remoteAddress || null
+});
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} user - { userId, firebaseUid, role }
+ * @param {number} sessionId - Session the token belongs to
+ * @returns {Object} { accessToken, expiresIn } with expiresIn in seconds
+ */
+const signAccessToken = ({ userId, firebaseUid, role }, sessionId) => {
+  const jwtSecret = process.env.JWT_SECRET;
+  if (!jwtSecret) {
+    throw new Error('Server misconfiguration: JWT secret missing');
+  }
+
+  const accessToken = jwt.sign(
+    { userId, firebaseUid, role, sid: sessionId },
+    jwtSecret,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const { iat, exp } = jwt.decode(accessToken);
+
+  return { accessToken, expiresIn: exp - iat };
+};
+
+/**
+ * Store a new refresh token for a session
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<string>} Raw refresh token (returned to the client only)
+ */
+const storeRefreshToken = async (sessionId) => {
+  const refreshToken = generateRefreshToken();
+
+  await executeQuery(
+    'INSERT INTO session_refresh_tokens (session_id, token_hash, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))',
+    [sessionId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return refreshToken;
+};
+
+/**
+ * Create a new session for a signed-in user
+ * @param {Object} user - { userId, firebaseUid, role }
+ * @param {Object} meta - { userAgent, ipAddress }
+ * @returns {Promise<Object>} { sessionId, accessToken, refreshToken, expiresIn }
+ */
+const createSession = async (user, { userAgent, ipAddress } = {}) => {
+  const result = await executeQuery(
+    'INSERT INTO user_sessions (user_id, user_agent, ip_address, expires_at) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))',
+    [user.userId, userAgent || null, ipAddress || null, REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  const sessionId = result.insertId;
+  const refreshToken = await storeRefreshToken(sessionId);
+  const { accessToken, expiresIn } = signAccessToken(user, sessionId);
+
+  CacheOperations.set(CacheKeys.sessionStatus(sessionId), true, ACTIVE_SESSION_CACHE_SECONDS);
+
+  return { sessionId, accessToken, refreshToken, expiresIn };
+};
+
+/**
+ * Revoke a single session
+ * @param {Object} io - Socket.IO server instance (optional, skips disconnecting sockets when missing)
+ * @param {number} sessionId - Session ID
+ * @param {string} reason - Why the session was revoked (logout, reuse_detected, ...)
+ * @param {number} userId - Optional owner check
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+const revokeSession = async (io, sessionId, reason, userId = null) => {
+  let query = 'UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE session_id = ? AND revoked_at IS NULL';
+  const params = [reason, sessionId];
+
+  if (userId !== null) {
+    query += ' AND user_id = ?';
+    params.push(userId);
+  }
+
+  const result = await executeQuery(query, params);
+
+  if (result.affectedRows > 0) {
+    CacheOperations.set(CacheKeys.sessionStatus(sessionId), false, REVOKED_SESSION_CACHE_SECONDS);
+    disconnectRooms(io, [sessionRoom(sessionId)]);
+    console.log(`🔒 Session ${sessionId} revoked (${reason})`);
+  }
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Revoke every active session for a user ("sign out everywhere")
+ * @param {Object} io - Socket.IO server instance (optional, skips disconnecting sockets when missing)
+ * @param {number} userId - User ID
+ * @param {string} reason - Why the sessions were revoked
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (io, userId, reason) => {
+  const sessions = await executeQuery(
+    'SELECT session_id FROM user_sessions WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+
+  // Sockets are closed even when no session is left, e.g. after every session expired
+  disconnectRooms(io, [userRoom(userId)]);
+
+  if (sessions.length === 0) {
+    return 0;
+  }
+
+  await executeQuery(
+    'UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL',
+    [reason, userId]
+  );
+
+  sessions.forEach(({ session_id }) => {
+    CacheOperations.set(CacheKeys.sessionStatus(session_id), false, REVOKED_SESSION_CACHE_SECONDS);
+  });
+
+  console.log(`🔒 Revoked ${sessions.length} sessions for user ${userId} (${reason})`);
+  return sessions.length;
+};
+
+/**
+ * Rotate a refresh token
+ * Consumes the presented token and issues a new access/refresh pair in the same session.
+ * Reuse of a consumed token revokes the session (token family).
+ * @param {Object} io - Socket.IO server instance (optional, used when the session is revoked)
+ * @param {string} refreshToken - Raw refresh token from the client
+ * @param {Object} meta - { userAgent, ipAddress }
+ * @returns {Promise<Object>} { success, error?, message?, user?, sessionId?, accessToken?, refreshToken?, expiresIn? }
+ */
+const rotateRefreshToken = async (io, refreshToken, { userAgent, ipAddress } = {}) => {
+  const tokens = await executeQuery(`
+    SELECT
+      t.token_id,
+      t.session_id,
+      t.used_at,
+      t.expires_at < NOW() as token_expired,
+      s.user_id,
+      s.revoked_at,
+      s.expires_at < NOW() as session_expired,
+      u.firebase_uid,
+      u.role,
+      u.disabled_at
+    FROM session_refresh_tokens t
+    JOIN user_sessions s ON t.session_id = s.session_id
+    JOIN users u ON s.user_id = u.user_id
+    WHERE t.token_hash = ?
+  `, [hashToken(refreshToken)]);
+
+  if (tokens.length === 0) {
+    return { success: false, error: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token' };
+  }
+
+  const token = tokens[0];
+
+  if (token.revoked_at) {
+    return { success: false, error: 'SESSION_REVOKED', message: 'Session has been revoked' };
+  }
+
+  if (token.disabled_at) {
+    await revokeSession(io, token.session_id, 'account_disabled');
+    return { success: false, error: 'ACCOUNT_DISABLED', message: 'This account has been disabled. Please contact your administrator.' };
+  }
+
+  if (token.used_at) {
+    // A consumed token came back: assume it was stolen and kill the whole family
+    await revokeSession(io, token.session_id, 'reuse_detected');
+    console.warn(`⚠️ Refresh token reuse detected for session ${token.session_id}`);
+    return { success: false, error: 'REFRESH_TOKEN_REUSED', message: 'Refresh token reuse detected. Please sign in again.' };
+  }
+
+  if (token.token_expired || token.session_expired) {
+    return { success: false, error: 'REFRESH_TOKEN_EXPIRED', message: 'Refresh token expired. Please sign in again.' };
+  }
+
+  // Mark consumed; a concurrent refresh that loses the race is treated as reuse
+  const consumed = await executeQuery(
+    'UPDATE session_refresh_tokens SET used_at = NOW() WHERE token_id = ? AND used_at IS NULL',
+    [token.token_id]
+  );
+
+  if (consumed.affectedRows === 0) {
+    await revokeSession(io, token.session_id, 'reuse_detected');
+    return { success: false, error: 'REFRESH_TOKEN_REUSED', message: 'Refresh token reuse detected. Please sign in again.' };
+  }
+
+  const newRefreshToken = await storeRefreshToken(token.session_id);
+
+  await executeQuery(
+    'UPDATE user_sessions SET last_seen_at = NOW(), user_agent = COALESCE(?, user_agent), ip_address = COALESCE(?, ip_address), expires_at = DATE_ADD(NOW(), INTERVAL ? DAY) WHERE session_id = ?',
+    [userAgent || null, ipAddress || null, REFRESH_TOKEN_TTL_DAYS, token.session_id]
+  );
+
+  const user = { userId: token.user_id, firebaseUid: token.firebase_uid, role: token.role };
+  const { accessToken, expiresIn } = signAccessToken(user, token.session_id);
+
+  return {
+    success: true,
+    user,
+    sessionId: token.session_id,
+    accessToken,
+    refreshToken: newRefreshToken,
+    expiresIn
+  };
+};
+
+/**
+ * Look up the session a refresh token belongs to
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<number|null>} Session ID or null
+ */
+const findSessionIdByRefreshToken = async (refreshToken) => {
+  const rows = await executeQuery(
+    'SELECT session_id FROM session_refresh_tokens WHERE token_hash = ?',
+    [hashToken(refreshToken)]
+  );
+  return rows.length > 0 ? rows[0].session_id : null;
+};
+
+/**
+ * List a user's active sessions (one per device/browser sign-in)
+ * last_seen_at advances whenever the session's refresh token is rotated
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Active sessions, most recently seen first
+ */
+const listActiveSessions = async (userId) => {
+  return executeQuery(`
+    SELECT
+      session_id,
+      user_agent,
+      ip_address,
+      last_seen_at,
+      created_at,
+      expires_at
+    FROM user_sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_seen_at DESC
+  `, [userId]);
+};
+
+/**
+ * Check a session against the revocation list
+ * Revocations are cached so logout takes effect immediately on this instance,
+ * and other instances pick it up within ACTIVE_SESSION_CACHE_SECONDS
+ * @param {number} sessionId - Session ID from the access token
+ * @param {number} userId - User ID from the access token
+ * @returns {Promise<boolean>} True if the session is still active
+ */
+const isSessionActive = async (sessionId, userId) => {
+  const cacheKey = CacheKeys.sessionStatus(sessionId);
+  const cached = CacheOperations.get(cacheKey);
+  if (cached !== undefined && cached !== null) {
+    return cached;
+  }
+
+  const sessions = await executeQuery(
+    'SELECT 1 FROM user_sessions WHERE session_id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > NOW()',
+    [sessionId, userId]
+  );
+  const active = sessions.length > 0;
+
+  CacheOperations.set(cacheKey, active, active ? ACTIVE_SESSION_CACHE_SECONDS : REVOKED_SESSION_CACHE_SECONDS);
+  return active;
+};
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  getRequestMeta,
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  findSessionIdByRefreshToken,
+  listActiveSessions,
+  isSessionActive
+};
@@ -0,0 +1,190 @@
+const { executeQuery } = require('./database');
+const { emitToUsers } = require('./realtime');
+const { getBatchStaffIds } = require('./batchStaffService');
+
+/**
+ * Submission Comment Service
+ * Review threads on a submission between the student and the batch staff.
+ * A thread is a top-level comment plus its replies; a reply to a reply joins the same thread.
+ * Reasons given when a submission is accepted or rejected are posted as comments with review_status.
+ * Inline threads are anchored to a line range of the submitted code; when the code is edited they
+ * move to wherever the same lines now are, or are marked outdated when those lines are gone.
+ */
+
+const COMMENT_COLUMNS = `
+  c.comment_id,
+  c.submission_id,
+  c.parent_id,
+  c.author_id,
+  c.body,
+  c.review_status,
+  c.line_start,
+  c.line_end,
+  c.anchor_text,
+  c.is_outdated,
+  c.created_at,
+  c.deleted_at,
+  u.name as author_name,
+  u.role as author_role`;
+
+/**
+ * Shape a comment row for API responses and socket events
+ * @param {Object} row - Row selected with COMMENT_COLUMNS
+ * @returns {Object} Client-facing comment (deleted comments keep their place without a body)
+ */
+const formatComment = (row) => ({
+  commentId: row.comment_id,
+  submissionId: row.submission_id,
+  parentId: row.parent_id,
+  author: row.author_id ? { id: row.author_id, name: row.author_name, role: row.author_role } : null,
+  body: row.deleted_at ? null : row.body,
+  reviewStatus: row.review_status,
+  lines: row.line_start
+    ? { start: row.line_start, end: row.line_end, code: row.anchor_text, outdated: Boolean(row.is_outdated) }
+    : null,
+  deleted: Boolean(row.deleted_at),
+  createdAt: row.created_at
+});
+
+/**
+ * Split submitted code into lines
+ * @param {string|null} content - Submission content
+ * @returns {string[]} Lines (line N is index N - 1)
+ */
+const splitLines = (content) => (content || '').split(/\r?\n/);
+
+/**
+ * Find where an anchored block of lines sits in new code
+ * Trailing whitespace is ignored; the original position wins, otherwise the closest match
+ * @param {string[]} anchorLines - Lines the comment was anchored to
+ * @param {string[]} lines - Lines of the new code
+ * @param {number} lineStart - Original first line (1-based)
+ * @returns {number|null} New first line or null if the block no longer appears
+ */
+const findAnchoredLines = (anchorLines, lines, lineStart) => {
+  const matchesAt = (start) => anchorLines.every((anchorLine, offset) => {
+    const line = lines[start - 1 + offset];
+    return line !== undefined && line.trimEnd() === anchorLine.trimEnd();
+  });
+
+  if (matchesAt(lineStart)) {
+    return lineStart;
+  }
+
+  let closest = null;
+  for (let start = 1; start + anchorLines.length - 1 <= lines.length; start++) {
+    if (matchesAt(start) && (closest === null || Math.abs(start - lineStart) < Math.abs(closest - lineStart))) {
+      closest = start;
+    }
+  }
+  return closest;
+};
+
+/**
+ * Load one comment of a submission
+ * @param {number} submissionId - Submission ID
+ * @param {number} commentId - Comment ID
+ * @returns {Promise<Object|null>} Comment row (COMMENT_COLUMNS) or null
+ */
+const getSubmissionComment = async (submissionId, commentId) => {
+  const comments = await executeQuery(`
+    SELECT ${COMMENT_COLUMNS}
+    FROM submission_comments c
+    LEFT JOIN users u ON c.author_id = u.user_id
+    WHERE c.comment_id = ? AND c.submission_id = ?
+  `, [commentId, submissionId]);
+  return comments[0] || null;
+};
+
+/**
+ * Load a submission's review threads, oldest first
+ * @param {number} submissionId - Submission ID
+ * @returns {Promise<Array>} Top-level comments, each with its replies
+ */
+const getSubmissionThreads = async (submissionId) => {
+  const comments = await executeQuery(`
+    SELECT ${COMMENT_COLUMNS}
+    FROM submission_comments c
+    LEFT JOIN users u ON c.author_id = u.user_id
+    WHERE c.submission_id = ?
+    ORDER BY c.created_at ASC, c.comment_id ASC
+  `, [submissionId]);
+
+  const threads = comments
+    .filter(comment => !comment.parent_id)
+    .map(comment => ({ ...formatComment(comment), replies: [] }));
+  const threadsById = new Map(threads.map(thread => [thread.commentId, thread]));
+
+  comments
+    .filter(comment => comment.parent_id)
+    .forEach(comment => threadsById.get(comment.parent_id)?.replies.push(formatComment(comment)));
+
+  return threads;
+};
+
+/**
+ * Add a comment to a submission and deliver it to the student and the batch staff
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} submission - { submission_id, batch_id, student_id }
+ * @param {Object} comment - { authorId, body, parentId?, reviewStatus?, lines? } where lines is
+ *   { start, end, code } for an inline comment
+ * @returns {Promise<Object>} Client-facing comment
+ */
+const addSubmissionComment = async (io, submission, { authorId, body, parentId = null, reviewStatus = null, lines = null }) => {
+  const result = await executeQuery(
+    'INSERT INTO submission_comments (submission_id, parent_id, author_id, body, review_status, line_start, line_end, anchor_text) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    [submission.submission_id, parentId, authorId, body, reviewStatus, lines?.start ?? null, lines?.end ?? null, lines?.code ?? null]
+  );
+
+  const comment = formatComment(await getSubmissionComment(submission.submission_id, result.insertId));
+
+  emitToUsers(io, [submission.student_id, ...await getBatchStaffIds(submission.batch_id)], 'submissionCommentCreated', {
+    submissionId: submission.submission_id,
+    batchId: submission.batch_id,
+    comment
+  });
+
+  return comment;
+};
+
+/**
+ * Move a submission's inline threads onto its new code
+ * @param {number} submissionId - Submission ID
+ * @param {string} content - The submission's new content
+ * @returns {Promise<Object>} { moved, outdated } thread counts
+ */
+const remapInlineComments = async (submissionId, content) => {
+  const anchored = await executeQuery(
+    'SELECT comment_id, line_start, line_end, anchor_text FROM submission_comments WHERE submission_id = ? AND line_start IS NOT NULL AND is_outdated = FALSE',
+    [submissionId]
+  );
+
+  const lines = splitLines(content);
+  const counts = { moved: 0, outdated: 0 };
+
+  for (const comment of anchored) {
+    const start = findAnchoredLines(splitLines(comment.anchor_text), lines, comment.line_start);
+
+    if (start === null) {
+      await executeQuery('UPDATE submission_comments SET is_outdated = TRUE WHERE comment_id = ?', [comment.comment_id]);
+      counts.outdated++;
+    } else if (start !== comment.line_start) {
+      await executeQuery(
+        'UPDATE submission_comments SET line_start = ?, line_end = ? WHERE comment_id = ?',
+        [start, start + comment.line_end - comment.line_start, comment.comment_id]
+      );
+      counts.moved++;
+    }
+  }
+
+  return counts;
+};
+
+module.exports = {
+  splitLines,
+  formatComment,
+  getSubmissionComment,
+  getSubmissionThreads,
+  addSubmissionComment,
+  remapInlineComments
+};
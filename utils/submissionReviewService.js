@@ -0,0 +1,96 @@
+const { executeQuery } = require('./database');
+
+/**
+ * Submission Review Service
+ * The review state machine shared by the submission controller and its validation:
+ *   pending           -> accepted | rejected | changes_requested  (batch staff review)
+ *   changes_requested -> pending                                 (student resubmits by editing)
+ *   changes_requested -> accepted | rejected                     (staff close the review)
+ *   accepted, rejected                                           final
+ * Every submission and every resubmission uses one of a practical's max_attempts (NULL = unlimited).
+ */
+
+const SUBMISSION_STATUSES = ['pending', 'changes_requested', 'accepted', 'rejected'];
+
+// Statuses batch staff can set, by current status
+const REVIEW_TRANSITIONS = {
+  pending: ['accepted', 'rejected', 'changes_requested'],
+  changes_requested: ['accepted', 'rejected'],
+  accepted: [],
+  rejected: []
+};
+
+const REVIEW_STATUSES = ['accepted', 'rejected', 'changes_requested'];
+
+/**
+ * Check whether batch staff may move a submission between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if allowed
+ */
+const canReview = (from, to) => (REVIEW_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Reject a review that the state machine does not allow
+ * @param {Object} res - Express response object
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ */
+const sendInvalidTransition = (res, from, to) => res.status(409).json({
+  success: false,
+  message: `Cannot move a submission from "${from}" to "${to}"`,
+  error: 'INVALID_STATUS_TRANSITION',
+  status: from,
+  allowed: REVIEW_TRANSITIONS[from] || []
+});
+
+/**
+ * Count the attempts a student has used on a practical
+ * @param {number} practicalId - Practical ID
+ * @param {number} studentId - Student user ID
+ * @returns {Promise<number>} Submissions plus resubmissions
+ */
+const countAttempts = async (practicalId, studentId) => {
+  const rows = await executeQuery(
+    'SELECT COALESCE(SUM(1 + resubmission_count), 0) as attempts FROM submissions WHERE practical_id = ? AND student_id = ?',
+    [practicalId, studentId]
+  );
+  return Number(rows[0].attempts);
+};
+
+/**
+ * Check whether a student has attempts left on a practical
+ * @param {Object|null} practical - practicals row (null for submissions without a practical)
+ * @param {number} studentId - Student user ID
+ * @returns {Promise<boolean>} True if another attempt is allowed
+ */
+const hasAttemptsLeft = async (practical, studentId) => {
+  if (!practical || practical.max_attempts === null) {
+    return true;
+  }
+  return await countAttempts(practical.practical_id, studentId) < practical.max_attempts;
+};
+
+/**
+ * Reject work once a practical's attempts are used up
+ * @param {Object} res - Express response object
+ * @param {Object} practical - practicals row
+ * @param {string} message - What can no longer happen
+ */
+const sendMaxAttemptsReached = (res, practical, message) => res.status(409).json({
+  success: false,
+  message,
+  error: 'MAX_ATTEMPTS_REACHED',
+  maxAttempts: practical.max_attempts
+});
+
+module.exports = {
+  SUBMISSION_STATUSES,
+  REVIEW_STATUSES,
+  REVIEW_TRANSITIONS,
+  canReview,
+  sendInvalidTransition,
+  countAttempts,
+  hasAttemptsLeft,
+  sendMaxAttemptsReached
+};
@@ -0,0 +1,115 @@
+const { executeQuery } = require('./database');
+
+/**
+ * Submission Version Service
+ * Every save of a submission (creation, edit or resubmission) is kept as an immutable version
+ * in submission_versions, numbered from 1. Rows are only ever inserted, never updated.
+ */
+
+const VERSION_COLUMNS = `
+  v.version_number,
+  v.kind,
+  v.practical_name,
+  v.file_url,
+  v.code_sandbox_link,
+  v.code_language,
+  v.created_by,
+  v.created_at`;
+
+/**
+ * Query that stores a just-created submission as its version 1
+ * Run it in the same executeTransaction, right after the submissions INSERT
+ * @param {number} createdBy - Student who created it
+ * @returns {Object} { query, params } for executeTransaction
+ */
+const originalVersionQuery = (createdBy) => ({
+  query: `INSERT INTO submission_versions (submission_id, version_number, kind, practical_name, content, file_url, code_sandbox_link, code_language, created_by)
+          SELECT s.submission_id, 1, 'original', s.practical_name, s.content, s.file_url, s.code_sandbox_link, s.code_language, ?
+          FROM submissions s
+          WHERE s.submission_id = LAST_INSERT_ID()`,
+  params: [createdBy]
+});
+
+/**
+ * Query that stores an edit as the submission's next version
+ * Run it in the same executeTransaction just before the UPDATE, with the status the UPDATE checks.
+ * FOR UPDATE locks the submission so concurrent edits get consecutive numbers, and a submission
+ * that has left that status gets no version (its UPDATE matches nothing either).
+ * @param {Object} submission - { submission_id, status } as checked by the caller
+ * @param {string} kind - 'edit' or 'resubmission'
+ * @param {number} createdBy - User who saved it
+ * @param {Object} fields - { practicalName, content, fileUrl, codeSandboxLink, codeLanguage } as written by the UPDATE
+ *   (a null practicalName keeps the current one)
+ * @returns {Object} { query, params } for executeTransaction
+ */
+const editVersionQuery = (submission, kind, createdBy, { practicalName, content, fileUrl, codeSandboxLink, codeLanguage }) => ({
+  query: `INSERT INTO submission_versions (submission_id, version_number, kind, practical_name, content, file_url, code_sandbox_link, code_language, created_by)
+          SELECT
+            s.submission_id,
+            COALESCE((SELECT MAX(v.version_number) FROM submission_versions v WHERE v.submission_id = s.submission_id), 0) + 1,
+            ?,
+            COALESCE(?, s.practical_name),
+            ?,
+            ?,
+            ?,
+            ?,
+            ?
+          FROM submissions s
+          WHERE s.submission_id = ? AND s.status = ?
+          FOR UPDATE`,
+  params: [kind, practicalName, content, fileUrl, codeSandboxLink, codeLanguage, createdBy, submission.submission_id, submission.status]
+});
+
+/**
+ * List a submission's versions, oldest first, without their content
+ * @param {number} submissionId - Submission ID
+ * @returns {Promise<Array>} submission_versions rows
+ */
+const getSubmissionVersions = async (submissionId) => {
+  return executeQuery(`
+    SELECT ${VERSION_COLUMNS}, CHAR_LENGTH(v.content) as content_length
+    FROM submission_versions v
+    WHERE v.submission_id = ?
+    ORDER BY v.version_number ASC
+  `, [submissionId]);
+};
+
+/**
+ * Load one version of a submission with its content
+ * @param {number} submissionId - Submission ID
+ * @param {number} versionNumber - Version number
+ * @returns {Promise<Object|null>} submission_versions row or null
+ */
+const getSubmissionVersion = async (submissionId, versionNumber) => {
+  const versions = await executeQuery(`
+    SELECT ${VERSION_COLUMNS}, v.content
+    FROM submission_versions v
+    WHERE v.submission_id = ? AND v.version_number = ?
+  `, [submissionId, versionNumber]);
+  return versions[0] || null;
+};
+
+/**
+ * Shape a version row for API responses
+ * @param {Object} version - submission_versions row (content is included when selected)
+ * @returns {Object} Client-facing version
+ */
+const formatVersion = (version) => ({
+  version: version.version_number,
+  kind: version.kind,
+  practicalName: version.practical_name,
+  fileUrl: version.file_url,
+  codeSandboxLink: version.code_sandbox_link,
+  codeLanguage: version.code_language,
+  createdBy: version.created_by,
+  createdAt: version.created_at,
+  ...(version.content !== undefined ? { content: version.content } : { contentLength: Number(version.content_length) })
+});
+
+module.exports = {
+  originalVersionQuery,
+  editVersionQuery,
+  getSubmissionVersions,
+  getSubmissionVersion,
+  formatVersion
+};
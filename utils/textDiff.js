@@ -0,0 +1,189 @@
+/**
+ * Text Diff
+ * Line-based diff (Myers' algorithm) rendered as a unified diff, used to compare submission versions.
+ * Texts that differ in more than MAX_EDIT_DISTANCE lines are shown as a full replacement
+ * instead of searching for the shortest edit, which keeps large rewrites cheap.
+ */
+
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Shortest edit script between two line arrays
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array} [{ type: ' ' | '-' | '+', line }] in order
+ */
+const myersDiff = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const replaceAll = () => [...a.map(line => ({ type: '-', line })), ...b.map(line => ({ type: '+', line }))];
+
+  if (n === 0 || m === 0) {
+    return replaceAll();
+  }
+
+  const offset = n + m + 1;
+  const v = new Int32Array(2 * offset + 1);
+  // trace[d] holds v for k in [-d - 1, d + 1] as it was before step d
+  const trace = [];
+
+  for (let d = 0; d <= Math.min(n + m, MAX_EDIT_DISTANCE); d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(a, b, trace);
+      }
+    }
+  }
+
+  return replaceAll();
+};
+
+/**
+ * Walk the recorded search back from the end to build the edit script
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @param {Int32Array[]} trace - Snapshots recorded by myersDiff
+ * @returns {Array} [{ type, line }] in order
+ */
+const backtrack = (a, b, trace) => {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: '+', line: b[y - 1] });
+      } else {
+        ops.push({ type: '-', line: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+};
+
+/**
+ * Diff two line arrays, skipping the unchanged start and end before searching
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array} [{ type, line }] in order
+ */
+const diffLines = (a, b) => {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const context = (line) => ({ type: ' ', line });
+
+  return [
+    ...a.slice(0, start).map(context),
+    ...myersDiff(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(context)
+  ];
+};
+
+/**
+ * Unified diff between two texts
+ * @param {string|null} oldText - Previous text
+ * @param {string|null} newText - New text
+ * @param {Object} options - { fromLabel, toLabel, context } (context lines around changes, default 3)
+ * @returns {Object} { diff, additions, deletions } (diff is '' when the texts match)
+ */
+const createUnifiedDiff = (oldText, newText, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) => {
+  const split = (text) => (text ? text.split(/\r?\n/) : []);
+  const ops = diffLines(split(oldText), split(newText));
+
+  // Number every line on the side(s) it appears on
+  let oldLine = 1;
+  let newLine = 1;
+  for (const op of ops) {
+    op.oldLine = oldLine;
+    op.newLine = newLine;
+    if (op.type !== '+') {
+      oldLine++;
+    }
+    if (op.type !== '-') {
+      newLine++;
+    }
+  }
+
+  const changes = ops
+    .map((op, index) => (op.type !== ' ' ? index : -1))
+    .filter(index => index >= 0);
+  if (changes.length === 0) {
+    return { diff: '', additions: 0, deletions: 0 };
+  }
+
+  // Group changes whose context overlaps into one hunk
+  const ranges = [];
+  for (const index of changes) {
+    const last = ranges[ranges.length - 1];
+    if (last && index - context <= last.end) {
+      last.end = Math.min(ops.length, index + context + 1);
+    } else {
+      ranges.push({ start: Math.max(0, index - context), end: Math.min(ops.length, index + context + 1) });
+    }
+  }
+
+  const hunks = ranges.map(({ start, end }) => {
+    const lines = ops.slice(start, end);
+    const oldCount = lines.filter(op => op.type !== '+').length;
+    const newCount = lines.filter(op => op.type !== '-').length;
+    const oldStart = oldCount === 0 ? lines[0].oldLine - 1 : lines[0].oldLine;
+    const newStart = newCount === 0 ? lines[0].newLine - 1 : lines[0].newLine;
+
+    return [
+      `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+      ...lines.map(op => `${op.type}${op.line}`)
+    ].join('\n');
+  });
+
+  return {
+    diff: [`--- ${fromLabel}`, `+++ ${toLabel}`, ...hunks].join('\n'),
+    additions: ops.filter(op => op.type === '+').length,
+    deletions: ops.filter(op => op.type === '-').length
+  };
+};
+
+module.exports = {
+  createUnifiedDiff
+};